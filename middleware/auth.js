@@ -1,42 +1,97 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const { findActiveSession } = require("../utils/session");
+const { hasPermission } = require("../utils/permissions");
+const { accountBlock, accountBlockedError } = require("../utils/accountStatus");
+const {
+  AppError,
+  UnauthorizedError,
+  ForbiddenError,
+} = require("../utils/errors");
 
 const auth = async (req, res, next) => {
   try {
     const token = req.cookies.token;
 
     if (!token) {
-      return res
-        .status(401)
-        .json({ message: "Access denied. No token provided." });
+      return next(new UnauthorizedError("Access denied. No token provided."));
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).select("-password");
+    const session = decoded.sessionId
+      ? await findActiveSession(decoded.sessionId)
+      : null;
 
-    if (!user) {
-      return res.status(401).json({ message: "Invalid token." });
+    if (!session || session.user.toString() !== decoded.userId) {
+      return next(new UnauthorizedError("Session expired or revoked."));
     }
 
+    const user = await User.findById(decoded.userId).select("-password");
+
+    if (!user) return next(new UnauthorizedError("Invalid token."));
+
+    // Suspended and banned accounts are refused even with a valid session
+    const block = accountBlock(user);
+    if (block) return next(accountBlockedError(block));
+
     req.user = user;
+    req.session = session;
+    // For long-lived responses that must end with the token, e.g. streams
+    req.tokenExpiresAt = new Date(decoded.exp * 1000);
     next();
   } catch (error) {
-    res.status(401).json({ message: "Invalid token." });
+    next(new UnauthorizedError("Invalid token."));
   }
 };
 
-const adminAuth = async (req, res, next) => {
+// Attach req.user when a valid token is present, but never reject the request
+const optionalAuth = async (req, res, next) => {
   try {
-    await auth(req, res, () => {});
-
-    if (req.user.role !== "admin") {
-      return res.status(403).json({ message: "Access denied. Admin only." });
+    const token = req.cookies.token;
+    if (token) {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const session = decoded.sessionId
+        ? await findActiveSession(decoded.sessionId)
+        : null;
+      const user =
+        session && (await User.findById(decoded.userId).select("-password"));
+      if (user && !accountBlock(user)) {
+        req.user = user;
+        req.session = session;
+      }
     }
-
-    next();
   } catch (error) {
-    res.status(401).json({ message: "Authentication failed." });
+    // Invalid or expired token: continue as an anonymous visitor
+  }
+  next();
+};
+
+// Authenticate, then require every listed permission, e.g.
+// requirePermission("blogs:edit:any")
+const requirePermission =
+  (...permissions) =>
+  (req, res, next) =>
+    auth(req, res, () => {
+      const missing = permissions.filter((p) => !hasPermission(req.user, p));
+      if (missing.length) {
+        return next(
+          new ForbiddenError("Access denied. Missing permission.", { missing })
+        );
+      }
+      next();
+    });
+
+// Must run after auth. Blocks accounts that have not verified their email.
+const requireVerified = (req, res, next) => {
+  if (req.user.emailVerified === false) {
+    return next(
+      new AppError("Please verify your email address first.", {
+        status: 403,
+        code: "EMAIL_NOT_VERIFIED",
+      })
+    );
   }
+  next();
 };
 
-module.exports = { auth, adminAuth };
+module.exports = { auth, optionalAuth, requirePermission, requireVerified };
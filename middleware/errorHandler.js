@@ -0,0 +1,108 @@
+const mongoose = require("mongoose");
+const multer = require("multer");
+const { logger } = require("../utils/logger");
+const {
+  AppError,
+  ValidationError,
+  ConflictError,
+  NotFoundError,
+} = require("../utils/errors");
+
+const isProduction = () => process.env.NODE_ENV === "production";
+
+// Errors thrown by libraries, translated into AppErrors. Returns null for
+// anything unexpected.
+const translate = (err) => {
+  if (err instanceof AppError) return err;
+
+  // A value that does not fit its schema type, e.g. a malformed id
+  if (err instanceof mongoose.Error.CastError) {
+    return new ValidationError(`${err.path} is invalid`, [
+      { field: err.path, message: `${err.path} is invalid` },
+    ]);
+  }
+  if (err instanceof mongoose.Error.ValidationError) {
+    const details = Object.values(err.errors).map((error) => ({
+      location: "body",
+      field: error.path,
+      message: error.message,
+    }));
+    return new ValidationError(details[0].message, details);
+  }
+  if (err.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return new ConflictError(
+      fields.length ? `${fields.join(", ")} already exists` : "Already exists",
+      fields.map((field) => ({ field, message: `${field} already exists` }))
+    );
+  }
+  if (err instanceof multer.MulterError) {
+    const message =
+      err.code === "LIMIT_FILE_SIZE" ? "File is too large" : err.message;
+    return new ValidationError(message, [
+      { location: "body", field: err.field, message },
+    ]);
+  }
+
+  // body-parser
+  if (err.type === "entity.parse.failed") {
+    return new ValidationError("Request body is not valid JSON");
+  }
+  if (err.type === "entity.too.large") {
+    return new AppError("Request body is too large", {
+      status: 413,
+      code: "PAYLOAD_TOO_LARGE",
+    });
+  }
+  // Other client errors raised by Express middleware (http-errors)
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return new AppError(err.message, {
+      status: err.status,
+      code: "BAD_REQUEST",
+    });
+  }
+  return null;
+};
+
+const logUnexpected = (err, req) =>
+  logger.error("Unhandled error", {
+    error: err,
+    method: req.method,
+    path: req.originalUrl.split("?")[0],
+  });
+
+// Reached when no route matched
+const notFound = (req, res, next) => {
+  next(new NotFoundError("Route not found"));
+};
+
+// Send every error as { message, code, details? }. Unexpected errors are
+// logged and answered with a generic 500; their message is only included
+// (as `error`) outside production.
+// Express recognises error handlers by their four arguments.
+const errorHandler = (err, req, res, next) => {
+  const known = translate(err);
+
+  if (res.headersSent) {
+    // Too late for a JSON body, e.g. a failed event stream
+    if (!known) logUnexpected(err, req);
+    return res.end();
+  }
+
+  if (known) {
+    return res.status(known.status).json({
+      message: known.message,
+      code: known.code,
+      ...(known.details !== undefined && { details: known.details }),
+    });
+  }
+
+  logUnexpected(err, req);
+  res.status(500).json({
+    message: "Server error",
+    code: "INTERNAL_ERROR",
+    ...(!isProduction() && { error: err.message }),
+  });
+};
+
+module.exports = { notFound, errorHandler };
@@ -0,0 +1,52 @@
+const { POLICIES, hit, isEnabled } = require("../utils/rateLimit");
+const { TooManyRequestsError } = require("../utils/errors");
+const { logger } = require("../utils/logger");
+
+// Limit requests to a route with one of the policies in utils/rateLimit,
+// e.g. rateLimit("login"). Policies keyed by user must run after auth.
+// Sends the RateLimit-* headers on every response and Retry-After with a
+// 429 once the limit is exceeded. A store failure lets the request through.
+const rateLimit = (policyName) => {
+  const policy = POLICIES[policyName];
+  if (!policy) throw new Error(`Unknown rate limit policy "${policyName}"`);
+
+  return async (req, res, next) => {
+    if (!isEnabled()) return next();
+
+    const clientKey =
+      policy.keyBy === "user" && req.user
+        ? `user:${req.user._id}`
+        : `ip:${req.ip}`;
+
+    let result;
+    try {
+      result = await hit(policyName, clientKey);
+    } catch (error) {
+      logger.error("Rate limit store error", { policy: policyName, error });
+      return next();
+    }
+
+    const resetSeconds = Math.max(
+      0,
+      Math.ceil((result.resetAt.getTime() - Date.now()) / 1000)
+    );
+    res.set({
+      "RateLimit-Limit": String(result.limit),
+      "RateLimit-Remaining": String(result.remaining),
+      "RateLimit-Reset": String(resetSeconds),
+      "RateLimit-Policy": `${policy.limit};w=${policy.windowMs / 1000}`,
+    });
+
+    if (result.limited) {
+      res.set("Retry-After", String(resetSeconds));
+      return next(
+        new TooManyRequestsError("Too many requests. Please try again later.", {
+          retryAfter: resetSeconds,
+        })
+      );
+    }
+    next();
+  };
+};
+
+module.exports = { rateLimit };
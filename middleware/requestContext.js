@@ -0,0 +1,54 @@
+const crypto = require("crypto");
+const { logger, context } = require("../utils/logger");
+
+const REQUEST_ID_HEADER = "X-Request-Id";
+// An id sent by the client or a proxy is kept when it looks like one
+const VALID_REQUEST_ID = /^[\w.:-]{1,100}$/;
+
+// Give each request an id, send it back in X-Request-Id and tag every log
+// entry written while handling the request with it. Mount first.
+const requestContext = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id =
+    incoming && VALID_REQUEST_ID.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+  res.set(REQUEST_ID_HEADER, req.id);
+  context.run({ requestId: req.id }, next);
+};
+
+// Log each request once it has been answered (or the client went away),
+// with its status and latency. Errors log as "error", client errors as
+// "warn".
+const accessLog = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  const done = () => {
+    res.removeListener("finish", done);
+    res.removeListener("close", done);
+
+    const status = res.statusCode;
+    const level = status >= 500 ? "error" : status >= 400 ? "warn" : "info";
+    logger[level]("Request", {
+      // The listener may run outside the request's async context
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      ...(Object.keys(req.query || {}).length && { query: req.query }),
+      status,
+      durationMs:
+        Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10,
+      bytes: Number(res.get("Content-Length")) || undefined,
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+      userId: req.user ? req.user._id : undefined,
+      ...(!res.writableFinished && { aborted: true }),
+    });
+  };
+
+  res.on("finish", done);
+  res.on("close", done);
+  next();
+};
+
+module.exports = { requestContext, accessLog };
@@ -0,0 +1,53 @@
+const path = require("path");
+const multer = require("multer");
+const { multerStorage, fromUpload, deleteAsset } = require("../utils/storage");
+const { IMAGE_TYPES, IMAGE_EXTENSIONS } = require("../utils/storage/formats");
+const { ValidationError } = require("../utils/errors");
+
+// Only JPEG, PNG and WebP images, by both type and file name; anything else
+// (SVG, HTML...) could be served back as active content
+const imageFilter = (req, file, cb) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+  if (IMAGE_TYPES[file.mimetype] && IMAGE_EXTENSIONS.includes(ext)) {
+    cb(null, true);
+  } else {
+    cb(
+      new ValidationError("Only JPEG, PNG and WebP images are allowed", [
+        {
+          location: "body",
+          field: file.fieldname,
+          message: "must be a JPEG, PNG or WebP image",
+        },
+      ]),
+      false
+    );
+  }
+};
+
+// Blog cover and gallery images
+const blogImageUpload = multer({
+  storage: multerStorage("blogs"),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: imageFilter,
+});
+
+// Avatars (20 KB limit)
+const avatarUpload = multer({
+  storage: multerStorage("avatars"),
+  limits: { fileSize: 20 * 1024 }, // 20 KB
+  fileFilter: imageFilter,
+});
+
+// Files are stored before the route runs, so a request that then fails
+// (validation, 403, 404...) would leave them orphaned. Mount before the
+// multer middleware to delete them whenever the response is an error.
+const discardUploadsOnError = (req, res, next) => {
+  res.on("finish", () => {
+    if (res.statusCode < 400) return;
+    const files = [].concat(req.file || [], req.files || []);
+    files.forEach((file) => deleteAsset(fromUpload(file).asset));
+  });
+  next();
+};
+
+module.exports = { blogImageUpload, avatarUpload, discardUploadsOnError };
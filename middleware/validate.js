@@ -0,0 +1,229 @@
+const { ValidationError } = require("../utils/errors");
+
+// Validate a request's params, query and body against a schema, e.g.
+//
+//   validate({
+//     params: { id: { type: "objectId" } },
+//     query: { page: { type: "integer", min: 1 } },
+//     body: { email: { type: "email", required: true } },
+//   })
+//
+// Each field rule may use:
+//   type         string | email | objectId | integer | number | boolean |
+//                date | array | object, or a list of these to accept any
+//   required     reject the request when the field is missing
+//   nullable     accept null (and "" from forms) as-is, e.g. to clear a value
+//   trim         trim strings before checking them
+//   minLength,   strings
+//   maxLength
+//   minItems,    arrays
+//   maxItems
+//   min, max     numbers
+//   enum         allowed values
+//   pattern      RegExp a string must match (with an optional `patternMessage`)
+//   items        rule for each element of an array
+//   default      value used when the field is missing
+//
+// Values are coerced to their type ("3" -> 3, "true" -> true, emails are
+// lower-cased), so query strings and multipart forms validate like JSON.
+// Fields that are not in the schema pass through untouched. Failures are
+// collected and thrown as one ValidationError listing every field at fault.
+
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const checkLength = (length, min, max, unit) => {
+  if (min !== undefined && length < min) {
+    return `must have at least ${min} ${unit}`;
+  }
+  if (max !== undefined && length > max) {
+    return `must have at most ${max} ${unit}`;
+  }
+  return null;
+};
+
+// Check one value against a single type. Returns { value } with the value
+// coerced to that type, or { error }.
+const checkType = (type, raw, rule) => {
+  let value = raw;
+  switch (type) {
+    case "string":
+    case "email": {
+      if (typeof value !== "string") return { error: "must be a string" };
+      if (rule.trim || type === "email") value = value.trim();
+      if (type === "email") {
+        value = value.toLowerCase();
+        if (!EMAIL_PATTERN.test(value)) {
+          return { error: "must be a valid email address" };
+        }
+      }
+      const lengthError = checkLength(
+        value.length,
+        rule.minLength,
+        rule.maxLength,
+        "characters"
+      );
+      if (lengthError) return { error: lengthError };
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return { error: rule.patternMessage || "has an invalid format" };
+      }
+      return { value };
+    }
+    case "objectId":
+      if (typeof value !== "string" || !OBJECT_ID_PATTERN.test(value)) {
+        return { error: "must be a valid id" };
+      }
+      return { value };
+    case "integer":
+    case "number": {
+      if (typeof value === "string" && value.trim() !== "") {
+        value = Number(value);
+      }
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return { error: "must be a number" };
+      }
+      if (type === "integer" && !Number.isInteger(value)) {
+        return { error: "must be an integer" };
+      }
+      if (rule.min !== undefined && value < rule.min) {
+        return { error: `must be at least ${rule.min}` };
+      }
+      if (rule.max !== undefined && value > rule.max) {
+        return { error: `must be at most ${rule.max}` };
+      }
+      return { value };
+    }
+    case "boolean":
+      if (value === "true") value = true;
+      if (value === "false") value = false;
+      if (typeof value !== "boolean") return { error: "must be true or false" };
+      return { value };
+    case "date":
+      // Left as sent; routes that store it convert it themselves
+      if (
+        !["string", "number"].includes(typeof value) ||
+        Number.isNaN(new Date(value).getTime())
+      ) {
+        return { error: "must be a valid date" };
+      }
+      return { value };
+    case "array": {
+      if (!Array.isArray(value)) return { error: "must be an array" };
+      const lengthError = checkLength(
+        value.length,
+        rule.minItems,
+        rule.maxItems,
+        "items"
+      );
+      if (lengthError) return { error: lengthError };
+      if (!rule.items) return { value };
+      const items = [];
+      for (const [i, item] of value.entries()) {
+        const result = checkValue(item, rule.items);
+        if (result.error) return { error: `item ${i + 1} ${result.error}` };
+        items.push(result.value);
+      }
+      return { value: items };
+    }
+    case "object":
+      if (!isPlainObject(value)) return { error: "must be an object" };
+      return { value };
+    default:
+      throw new Error(`Unknown validation type "${type}"`);
+  }
+};
+
+// Check a present value against its rule. Returns { value } or { error }.
+const checkValue = (raw, rule) => {
+  let types = [].concat(rule.type || "string");
+  // With a choice of types, arrays are only checked as arrays so their
+  // errors name the item at fault
+  if (types.length > 1 && types.includes("array")) {
+    types = Array.isArray(raw)
+      ? ["array"]
+      : types.filter((type) => type !== "array");
+  }
+  let result;
+  for (const type of types) {
+    result = checkType(type, raw, rule);
+    if (!result.error) break;
+  }
+  if (result.error) return result;
+  if (rule.enum && !rule.enum.includes(result.value)) {
+    return { error: `must be one of: ${rule.enum.join(", ")}` };
+  }
+  return result;
+};
+
+// Validate one part of the request in place. Adds any failures to `details`.
+const validatePart = (source, fields, location, details) => {
+  for (const [field, rule] of Object.entries(fields)) {
+    const value = source[field];
+
+    if (
+      rule.nullable &&
+      (value === null || (value === "" && rule.type !== "string"))
+    ) {
+      continue;
+    }
+    const blank = typeof value === "string" && value.trim() === "";
+    if (value === undefined || value === null || (rule.required && blank)) {
+      if (rule.default !== undefined) {
+        source[field] = rule.default;
+      } else if (rule.required) {
+        details.push({ location, field, message: `${field} is required` });
+      } else if (value === null) {
+        details.push({ location, field, message: `${field} cannot be null` });
+      }
+      continue;
+    }
+
+    const result = checkValue(value, rule);
+    if (result.error) {
+      details.push({ location, field, message: `${field} ${result.error}` });
+    } else {
+      source[field] = result.value;
+    }
+  }
+};
+
+const validate = (schema) => (req, res, next) => {
+  const details = [];
+  if (schema.params) validatePart(req.params, schema.params, "params", details);
+  if (schema.query) validatePart(req.query, schema.query, "query", details);
+  if (schema.body) {
+    if (!isPlainObject(req.body)) req.body = {};
+    validatePart(req.body, schema.body, "body", details);
+  }
+
+  if (details.length) {
+    return next(
+      new ValidationError(
+        details.length === 1 ? details[0].message : "Invalid request",
+        details
+      )
+    );
+  }
+  next();
+};
+
+// router.param handler that rejects route parameters which are not valid
+// ObjectIds, so a malformed :id is a 400 rather than a failed lookup:
+//   router.param("id", objectIdParam);
+const objectIdParam = (req, res, next, value, name) => {
+  if (OBJECT_ID_PATTERN.test(value)) return next();
+  next(
+    new ValidationError(`${name} must be a valid id`, [
+      {
+        location: "params",
+        field: name,
+        message: `${name} must be a valid id`,
+      },
+    ])
+  );
+};
+
+module.exports = { validate, objectIdParam };
@@ -0,0 +1,70 @@
+const mongoose = require("mongoose");
+
+// One privileged action: who did what to which record, and what changed
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Copied so entries stay readable after the actor is deleted
+    actorName: {
+      type: String,
+      default: "",
+    },
+    actorRole: {
+      type: String,
+      default: "",
+    },
+    // e.g. "user.update", "blog.delete", "report.resolve"
+    action: {
+      type: String,
+      required: true,
+    },
+    targetType: {
+      type: String,
+      required: true,
+    },
+    targetId: {
+      type: String,
+      default: null,
+    },
+    targetLabel: {
+      type: String,
+      default: "",
+    },
+    // Fields that changed; sensitive values are redacted
+    changes: [
+      {
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    // Extra context for the action, e.g. a cleanup report
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+    ip: {
+      type: String,
+      default: "",
+    },
+    userAgent: {
+      type: String,
+      default: "",
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
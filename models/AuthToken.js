@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// Single-use tokens sent by email (verification, password reset)
+const authTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["verify-email", "reset-password"],
+      required: true,
+    },
+    // SHA-256 of the token; the token itself only exists in the email
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+authTokenSchema.index({ user: 1, type: 1 });
+// Let MongoDB remove tokens once they expire
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("AuthToken", authTokenSchema);
@@ -1,26 +1,30 @@
 const mongoose = require("mongoose");
+const { renderMarkdown } = require("../utils/markdown");
+const softDeletePlugin = require("../utils/softDelete");
 
-const commentSchema = new mongoose.Schema(
-  {
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: "User",
-      required: true,
-    },
-    content: {
-      type: String,
-      required: true,
-      trim: true,
-    },
-    userName: {
-      type: String,
-      required: true,
-    },
+// Extra images shown with a post, in display order
+const galleryImageSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
   },
-  {
-    timestamps: true,
-  }
-);
+  asset: {
+    provider: String,
+    key: String,
+  },
+  alt: {
+    type: String,
+    default: "",
+    trim: true,
+    maxlength: 300,
+  },
+  caption: {
+    type: String,
+    default: "",
+    trim: true,
+    maxlength: 500,
+  },
+});
 
 const blogSchema = new mongoose.Schema(
   {
@@ -33,10 +37,39 @@ const blogSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
+    // Where the image is stored, so it can be deleted later
+    imageAsset: {
+      provider: String,
+      key: String,
+    },
+    gallery: [galleryImageSchema],
+    // Markdown source
     description: {
       type: String,
       required: true,
     },
+    // Sanitized HTML rendered from description on save
+    descriptionHtml: {
+      type: String,
+      default: "",
+    },
+    toc: [
+      {
+        _id: false,
+        level: Number,
+        text: String,
+        id: String,
+      },
+    ],
+    wordCount: {
+      type: Number,
+      default: 0,
+    },
+    // Estimated minutes to read
+    readingTime: {
+      type: Number,
+      default: 1,
+    },
     author: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
@@ -46,29 +79,100 @@ const blogSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
-    likes: [
+    status: {
+      type: String,
+      enum: ["draft", "scheduled", "published"],
+      default: "published",
+    },
+    publishAt: {
+      type: Date,
+      default: null,
+    },
+    // When the post went public; "newest" listings sort on it
+    publishedAt: {
+      type: Date,
+      default: null,
+    },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+    tags: [
       {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: "User",
+        type: String,
+        trim: true,
+        lowercase: true,
       },
     ],
-    comments: [commentSchema],
+    // Likes and comments live in their own collections (models/Like.js,
+    // models/Comment.js); these counters are kept in step with them
+    likesCount: {
+      type: Number,
+      default: 0,
+    },
+    // Comments that are neither soft-deleted nor hidden
+    commentsCount: {
+      type: Number,
+      default: 0,
+    },
+    // Unique views (one per visitor per day), kept by utils/analytics.js
+    viewsCount: {
+      type: Number,
+      default: 0,
+    },
+    // Hidden by moderation ("reports" when the report threshold was reached)
+    hiddenAt: {
+      type: Date,
+      default: null,
+    },
+    hiddenReason: {
+      type: String,
+      enum: ["reports", "moderator", null],
+      default: null,
+    },
   },
   {
     timestamps: true,
   }
 );
 
-// Virtual for likes count
-blogSchema.virtual("likesCount").get(function () {
-  return this.likes.length;
-});
+// Indexes for paginated listings (newest first is by publish date)
+blogSchema.index({ publishedAt: -1, _id: -1 });
+blogSchema.index({ author: 1, publishedAt: -1, _id: -1 });
+blogSchema.index({ tags: 1, publishedAt: -1, _id: -1 });
+blogSchema.index({ category: 1, publishedAt: -1, _id: -1 });
+blogSchema.index({ createdAt: -1, _id: -1 });
+blogSchema.index({ likesCount: -1, _id: -1 });
+blogSchema.index({ commentsCount: -1, _id: -1 });
+blogSchema.index({ status: 1, publishAt: 1 });
 
-// Virtual for comments count
-blogSchema.virtual("commentsCount").get(function () {
-  return this.comments.length;
+// Text index for search; title ranks above description
+blogSchema.index(
+  { title: "text", description: "text" },
+  { name: "blog_text_search", weights: { title: 10, description: 4 } }
+);
+
+// Render the Markdown description into sanitized HTML, TOC and reading time
+blogSchema.methods.renderDescription = function () {
+  const { html, toc, wordCount, readingTime } = renderMarkdown(
+    this.description
+  );
+  this.descriptionHtml = html;
+  this.toc = toc;
+  this.wordCount = wordCount;
+  this.readingTime = readingTime;
+};
+
+blogSchema.pre("save", function (next) {
+  if (this.isModified("description") || !this.descriptionHtml) {
+    this.renderDescription();
+  }
+  next();
 });
 
+blogSchema.plugin(softDeletePlugin);
+
 // Ensure virtuals are serialized
 blogSchema.set("toJSON", { virtuals: true });
 blogSchema.set("toObject", { virtuals: true });
@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+const blogRevisionSchema = new mongoose.Schema(
+  {
+    blog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Blog",
+      required: true,
+    },
+    revision: {
+      type: Number,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    description: {
+      type: String,
+      required: true,
+    },
+    tags: [String],
+    editor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    editorName: {
+      type: String,
+      required: true,
+    },
+    // Who made the edit: the author, an admin, or a rollback
+    source: {
+      type: String,
+      enum: ["create", "author", "admin", "restore"],
+      required: true,
+    },
+    changedFields: [String],
+    restoredFrom: {
+      type: Number,
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+blogRevisionSchema.index({ blog: 1, revision: -1 }, { unique: true });
+
+module.exports = mongoose.model("BlogRevision", blogRevisionSchema);
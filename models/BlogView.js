@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+// Views of a post by one visitor on one (UTC) day. Repeat views that day
+// only bump `views`, so each document is one unique view.
+const blogViewSchema = new mongoose.Schema(
+  {
+    blog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Blog",
+      required: true,
+    },
+    // Signed-in viewer; null for anonymous visitors
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // "user:<id>" or "anon:<visitor cookie>"
+    visitor: {
+      type: String,
+      required: true,
+    },
+    day: {
+      type: Date,
+      required: true,
+    },
+    views: {
+      type: Number,
+      default: 1,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+blogViewSchema.index({ blog: 1, visitor: 1, day: 1 }, { unique: true });
+blogViewSchema.index({ day: 1 });
+
+module.exports = mongoose.model("BlogView", blogViewSchema);
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// A blog a user saved to read later
+const bookmarkSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    blog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Blog",
+      required: true,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+bookmarkSchema.index({ user: 1, blog: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, createdAt: -1 });
+bookmarkSchema.index({ blog: 1 });
+
+module.exports = mongoose.model("Bookmark", bookmarkSchema);
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+const slugify = (str) =>
+  str
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: 500,
+    },
+    // Parent category for nested taxonomies; null for top-level categories
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Derive the slug from the name when none is given
+categorySchema.pre("validate", function (next) {
+  if (!this.slug && this.name) this.slug = slugify(this.name);
+  next();
+});
+
+module.exports = mongoose.model("Category", categorySchema);
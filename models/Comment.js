@@ -0,0 +1,87 @@
+const mongoose = require("mongoose");
+
+// A comment or reply on a blog post
+const commentSchema = new mongoose.Schema(
+  {
+    blog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Blog",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    content: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    userName: {
+      type: String,
+      required: true,
+    },
+    // Parent comment for replies; null for top-level comments
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    // 0 for top-level comments; replies nest at most two levels deep
+    depth: {
+      type: Number,
+      default: 0,
+    },
+    edited: {
+      type: Boolean,
+      default: false,
+    },
+    editedAt: {
+      type: Date,
+      default: null,
+    },
+    // Number of Like documents for this comment, kept by utils/likes.js
+    likesCount: {
+      type: Number,
+      default: 0,
+    },
+    // Soft delete; deleting a comment also marks its replies
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    // Hidden by moderation ("reports" when the report threshold was reached)
+    hiddenAt: {
+      type: Date,
+      default: null,
+    },
+    hiddenReason: {
+      type: String,
+      enum: ["reports", "moderator", null],
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Threads are read one level at a time, oldest first
+commentSchema.index({ blog: 1, parent: 1, createdAt: 1 });
+commentSchema.index({ parent: 1 });
+commentSchema.index({ user: 1 });
+commentSchema.index({ deletedAt: 1 });
+// Daily comment counts for analytics rollups
+commentSchema.index({ createdAt: 1 });
+// Searching blogs with ?comments=true
+commentSchema.index({ content: "text" }, { name: "comment_text_search" });
+
+commentSchema.set("toJSON", { virtuals: true });
+commentSchema.set("toObject", { virtuals: true });
+
+module.exports = mongoose.model("Comment", commentSchema);
@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// Engagement with one post on one UTC day, pre-computed for the top posts
+// and top authors rankings
+const dailyPostStatSchema = new mongoose.Schema({
+  day: {
+    type: Date,
+    required: true,
+  },
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Blog",
+    required: true,
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    default: null,
+  },
+  views: { type: Number, default: 0 },
+  uniqueViews: { type: Number, default: 0 },
+  likes: { type: Number, default: 0 },
+  comments: { type: Number, default: 0 },
+  // Weighted score; see ENGAGEMENT_WEIGHTS in utils/analytics.js
+  engagement: { type: Number, default: 0 },
+});
+
+dailyPostStatSchema.index({ day: 1, blog: 1 }, { unique: true });
+dailyPostStatSchema.index({ day: 1, author: 1 });
+
+module.exports = mongoose.model("DailyPostStat", dailyPostStatSchema);
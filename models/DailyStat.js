@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// Site-wide totals for one UTC day, pre-computed for the stats dashboard
+const dailyStatSchema = new mongoose.Schema({
+  day: {
+    type: Date,
+    required: true,
+    unique: true,
+  },
+  signups: { type: Number, default: 0 },
+  posts: { type: Number, default: 0 },
+  comments: { type: Number, default: 0 },
+  likes: { type: Number, default: 0 },
+  views: { type: Number, default: 0 },
+  uniqueViews: { type: Number, default: 0 },
+  // Distinct users who posted, commented, liked or viewed that day
+  activeUsers: { type: Number, default: 0 },
+  computedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+module.exports = mongoose.model("DailyStat", dailyStatSchema);
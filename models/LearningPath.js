@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+// A curated, ordered sequence of blogs
+const learningPathSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      default: "",
+      trim: true,
+    },
+    blogs: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Blog",
+      },
+    ],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    published: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+learningPathSchema.virtual("blogsCount").get(function () {
+  return this.blogs.length;
+});
+
+learningPathSchema.set("toJSON", { virtuals: true });
+learningPathSchema.set("toObject", { virtuals: true });
+
+module.exports = mongoose.model("LearningPath", learningPathSchema);
@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+// A user's like on a post, or on one of its comments
+const likeSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    blog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Blog",
+      required: true,
+    },
+    // Set for comment likes
+    comment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// One like per user per post or comment
+likeSchema.index({ blog: 1, comment: 1, user: 1 }, { unique: true });
+likeSchema.index({ comment: 1 });
+likeSchema.index({ user: 1 });
+// Daily like counts for analytics rollups
+likeSchema.index({ createdAt: 1 });
+
+module.exports = mongoose.model("Like", likeSchema);
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+// Something that happened to a user's content: a like, comment or reply
+const notificationSchema = new mongoose.Schema(
+  {
+    recipient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    actorName: {
+      type: String,
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: ["like", "comment", "reply", "comment-like"],
+      required: true,
+    },
+    blog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Blog",
+      required: true,
+    },
+    blogTitle: {
+      type: String,
+      default: "",
+    },
+    // The comment that was made or liked, for comment notifications
+    comment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    // Start of the comment text
+    preview: {
+      type: String,
+      default: "",
+    },
+    readAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+
+module.exports = mongoose.model("Notification", notificationSchema);
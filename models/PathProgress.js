@@ -0,0 +1,43 @@
+const mongoose = require("mongoose");
+
+// A learner's progress through one learning path
+const pathProgressSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    path: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "LearningPath",
+      required: true,
+    },
+    completed: [
+      {
+        blog: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Blog",
+          required: true,
+        },
+        completedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    // Last post the learner opened or completed, used to resume the path
+    lastBlog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Blog",
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+pathProgressSchema.index({ user: 1, path: 1 }, { unique: true });
+
+module.exports = mongoose.model("PathProgress", pathProgressSchema);
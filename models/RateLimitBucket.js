@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// Request counter for one rate-limit key and window, used by the "mongo"
+// rate-limit store so every server instance shares the same counts
+const rateLimitBucketSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  resetAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// Let MongoDB remove buckets once their window has passed
+rateLimitBucketSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RateLimitBucket", rateLimitBucketSchema);
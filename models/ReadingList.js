@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+
+// A named, ordered list of blogs kept by a user. Private lists are seen only
+// by their owner; public ones by anyone with the share link.
+const readingListSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: 500,
+    },
+    visibility: {
+      type: String,
+      enum: ["private", "public"],
+      default: "private",
+    },
+    // Random id in the public link; cleared when the list is made private
+    shareId: {
+      type: String,
+      default: null,
+    },
+    // In reading order
+    items: [
+      {
+        _id: false,
+        blog: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "Blog",
+          required: true,
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+readingListSchema.index({ owner: 1, updatedAt: -1 });
+readingListSchema.index({ "items.blog": 1 });
+readingListSchema.index(
+  { shareId: 1 },
+  { unique: true, partialFilterExpression: { shareId: { $type: "string" } } }
+);
+
+readingListSchema.virtual("itemsCount").get(function () {
+  return this.items.length;
+});
+
+readingListSchema.set("toJSON", { virtuals: true });
+readingListSchema.set("toObject", { virtuals: true });
+
+module.exports = mongoose.model("ReadingList", readingListSchema);
@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+
+// A user's report of a blog or comment, reviewed in the moderation queue
+const reportSchema = new mongoose.Schema(
+  {
+    targetType: {
+      type: String,
+      enum: ["blog", "comment"],
+      required: true,
+    },
+    blog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Blog",
+      required: true,
+    },
+    // Null when the blog itself is reported
+    comment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    reporter: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    reason: {
+      type: String,
+      enum: [
+        "spam",
+        "harassment",
+        "hate",
+        "inappropriate",
+        "misleading",
+        "other",
+      ],
+      required: true,
+    },
+    details: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: 1000,
+    },
+    status: {
+      type: String,
+      enum: ["open", "dismissed", "hidden", "removed"],
+      default: "open",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    reviewedAt: {
+      type: Date,
+      default: null,
+    },
+    reviewerNotes: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: 2000,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ blog: 1, comment: 1, status: 1 });
+// One open report per user per target
+reportSchema.index(
+  { reporter: 1, blog: 1, comment: 1 },
+  { unique: true, partialFilterExpression: { status: "open" } }
+);
+
+module.exports = mongoose.model("Report", reportSchema);
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const softDeletePlugin = require("../utils/softDelete");
 
 const userSchema = new mongoose.Schema(
   {
@@ -22,7 +23,7 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["user", "admin"],
+      enum: ["user", "editor", "moderator", "admin"],
       default: "user",
     },
     bio: {
@@ -35,12 +36,73 @@ const userSchema = new mongoose.Schema(
       type: String, // URL or file path
       default: "",
     },
+    // Where an uploaded avatar is stored, so it can be deleted later
+    avatarAsset: {
+      provider: String,
+      key: String,
+    },
+    // No default: accounts created before verification existed have no flag
+    // and are treated as verified
+    emailVerified: {
+      type: Boolean,
+    },
+    emailVerifiedAt: {
+      type: Date,
+    },
+    // Which notifications the user wants to receive
+    notificationPreferences: {
+      likes: { type: Boolean, default: true },
+      comments: { type: Boolean, default: true },
+      replies: { type: Boolean, default: true },
+      commentLikes: { type: Boolean, default: true },
+    },
+    // Account state set by staff; a suspension ends at suspendedUntil
+    status: {
+      type: String,
+      enum: ["active", "suspended", "banned"],
+      default: "active",
+    },
+    suspendedUntil: {
+      type: Date,
+      default: null,
+    },
+    statusReason: {
+      type: String,
+      default: "",
+      trim: true,
+      maxlength: 500,
+    },
+    statusChangedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    statusChangedAt: {
+      type: Date,
+      default: null,
+    },
+    // Failed logins since the last success; reaching the limit locks the
+    // account until lockedUntil
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lastFailedLoginAt: {
+      type: Date,
+      default: null,
+    },
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+userSchema.plugin(softDeletePlugin);
+
 // Hash password before saving
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
@@ -1,185 +1,935 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const Blog = require("../models/Blog");
 const User = require("../models/User");
-const { adminAuth } = require("../middleware/auth");
+const Comment = require("../models/Comment");
+const { requirePermission } = require("../middleware/auth");
+const { validate, objectIdParam } = require("../middleware/validate");
+const {
+  ValidationError,
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  errorForStatus,
+} = require("../utils/errors");
+const { ROLES, hasPermission } = require("../utils/permissions");
+const {
+  LIST_QUERY,
+  parseListOptions,
+  listBlogs,
+} = require("../utils/blogQuery");
+const { snapshotOf, saveWithRevision } = require("../utils/revisions");
+const { revokeAllSessions } = require("../utils/session");
+const { setEmail, confirmNewEmail } = require("../utils/authTokens");
+const {
+  recordAudit,
+  parseAuditQuery,
+  listAudit,
+  streamAuditCsv,
+} = require("../utils/audit");
+const { ACCOUNT_STATUSES, clearLockout } = require("../utils/accountStatus");
+const { deleteAsset } = require("../utils/storage");
+const {
+  blogImageUpload,
+  discardUploadsOnError,
+} = require("../middleware/upload");
+const { replaceCover } = require("../utils/blogMedia");
+const { PAGE_QUERY, parsePageOptions } = require("../utils/pagination");
+const { reconcileOrphans } = require("../utils/cleanup");
+const trash = require("../utils/trash");
+const Report = require("../models/Report");
+const {
+  WINDOW_QUERY,
+  parseWindow,
+  rollupRange,
+  getAnalytics,
+} = require("../utils/analytics");
+const { REPORT_ACTIONS, resolveReport } = require("../utils/moderation");
+const { POLICIES, resetLimit, describeLimits } = require("../utils/rateLimit");
+const { logger } = require("../utils/logger");
+const { ACTIVE_COMMENT } = require("../utils/comments");
 const router = express.Router();
 
-// Get all blogs (admin view)
-router.get("/blogs", adminAuth, async (req, res) => {
-  try {
-    const blogs = await Blog.find()
-      .populate("author", "name email")
-      .sort({ createdAt: -1 });
+["id", "blogId", "commentId"].forEach((name) =>
+  router.param(name, objectIdParam)
+);
 
-    res.json(blogs);
-  } catch (error) {
-    res.status(500).json({ message: "Server error", error: error.message });
+const REPORT_STATUSES = Report.schema.path("status").enumValues;
+
+// Special characters in ?search match literally
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const userUpdateSchema = {
+  body: {
+    name: { type: "string", trim: true, minLength: 1, maxLength: 100 },
+    email: { type: "email" },
+    role: { type: "string", enum: ROLES },
+  },
+};
+
+const userStatusSchema = {
+  body: {
+    status: { type: "string", required: true, enum: ACCOUNT_STATUSES },
+    reason: { type: "string", maxLength: 500, default: "" },
+    until: { type: "date", nullable: true },
+  },
+};
+
+const reportQueueSchema = {
+  query: {
+    status: { type: "string", enum: REPORT_STATUSES, default: "open" },
+    type: { type: "string", enum: ["blog", "comment"] },
+    ...PAGE_QUERY,
+  },
+};
+
+const auditQuerySchema = {
+  query: {
+    actor: { type: "objectId" },
+    // "user" matches every user.* action; "user.update" only that one
+    action: {
+      type: "string",
+      pattern: /^[\w-]+(\.[\w-]+)?$/,
+      patternMessage: 'must look like "user" or "user.update"',
+    },
+    targetType: { type: "string", pattern: /^[\w-]+$/, maxLength: 50 },
+    target: { type: "string", trim: true, maxLength: 100 },
+    from: { type: "date" },
+    to: { type: "date" },
+    ...PAGE_QUERY,
+    format: { type: "string", enum: ["json", "csv"] },
+  },
+};
+
+// Get all blogs (admin view, paginated)
+router.get(
+  "/blogs",
+  requirePermission("blogs:read:any"),
+  validate({ query: LIST_QUERY }),
+  async (req, res, next) => {
+    try {
+      const { options, error } = parseListOptions(req.query);
+      if (error) throw new ValidationError(error);
+
+      res.json(await listBlogs(options, { authorFields: "name email" }));
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 // Get all users (with optional search)
-router.get("/users", adminAuth, async (req, res) => {
-  try {
-    const { search } = req.query;
-    let query = {};
-    if (search) {
-      query = {
-        $or: [
-          { name: { $regex: search, $options: "i" } },
-          { email: { $regex: search, $options: "i" } },
-        ],
-      };
-    }
-    const users = await User.find(query)
-      .select("-password")
-      .sort({ createdAt: -1 });
-    res.json(users);
-  } catch (error) {
-    res.status(500).json({ message: "Server error", error: error.message });
-  }
-});
+router.get(
+  "/users",
+  requirePermission("users:read"),
+  validate({
+    query: { search: { type: "string", trim: true, maxLength: 100 } },
+  }),
+  async (req, res, next) => {
+    try {
+      const { search } = req.query;
+      let query = {};
+      if (search) {
+        const pattern = escapeRegex(search);
+        query = {
+          $or: [
+            { name: { $regex: pattern, $options: "i" } },
+            { email: { $regex: pattern, $options: "i" } },
+          ],
+        };
+      }
+      const users = await User.find(query)
+        .select("-password")
+        .sort({ createdAt: -1 });
+      res.json(users);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
 // Delete any blog (admin only)
-router.delete("/blogs/:id", adminAuth, async (req, res) => {
-  try {
-    const blog = await Blog.findById(req.params.id);
+router.delete(
+  "/blogs/:id",
+  requirePermission("blogs:delete:any"),
+  async (req, res, next) => {
+    try {
+      const blog = await Blog.findById(req.params.id);
 
-    if (!blog) {
-      return res.status(404).json({ message: "Blog not found" });
-    }
+      if (!blog) {
+        throw new NotFoundError("Blog not found");
+      }
 
-    await Blog.findByIdAndDelete(blog._id);
-    res.json({ message: "Blog deleted successfully" });
-  } catch (error) {
-    res.status(500).json({ message: "Server error", error: error.message });
+      // Move the blog to the trash; it can be restored until purged
+      await blog.softDelete(req.user);
+      await recordAudit(req, {
+        action: "blog.delete",
+        targetType: "blog",
+        target: blog,
+      });
+      res.json({ message: "Blog deleted successfully" });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
-// Update any blog (admin only)
-router.put("/blogs/:id", adminAuth, async (req, res) => {
-  try {
-    const { title, description } = req.body;
-    const blog = await Blog.findById(req.params.id);
+// Update any blog (multipart: an "image" file replaces the cover)
+router.put(
+  "/blogs/:id",
+  requirePermission("blogs:edit:any"),
+  discardUploadsOnError,
+  blogImageUpload.single("image"),
+  validate({
+    body: {
+      title: { type: "string", trim: true, minLength: 1, maxLength: 200 },
+      description: { type: "string", minLength: 1, maxLength: 100000 },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { title, description } = req.body;
+      const blog = await Blog.findById(req.params.id);
 
-    if (!blog) {
-      return res.status(404).json({ message: "Blog not found" });
-    }
+      if (!blog) {
+        throw new NotFoundError("Blog not found");
+      }
 
-    blog.title = title || blog.title;
-    blog.description = description || blog.description;
+      const before = snapshotOf(blog);
+      blog.title = title || blog.title;
+      blog.description = description || blog.description;
+      const previousCover = req.file ? replaceCover(blog, req.file) : null;
 
-    await blog.save();
+      await saveWithRevision(blog, before, {
+        editor: req.user,
+        source: "admin",
+      });
+      if (previousCover) {
+        await deleteAsset(previousCover.asset);
+      }
+      await recordAudit(req, {
+        action: "blog.update",
+        targetType: "blog",
+        target: blog,
+        before: {
+          ...before,
+          image: previousCover ? previousCover.url : blog.image,
+        },
+        after: { ...snapshotOf(blog), image: blog.image },
+      });
 
-    const updatedBlog = await blog.populate("author", "name");
-    res.json(updatedBlog);
-  } catch (error) {
-    res.status(500).json({ message: "Server error", error: error.message });
+      const updatedBlog = await blog.populate("author", "name");
+      res.json(updatedBlog);
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 // Edit user info (name, email, role)
-router.put("/users/:id", adminAuth, async (req, res) => {
-  try {
-    const { name, email, role } = req.body;
-    const user = await User.findById(req.params.id);
-    if (!user) return res.status(404).json({ message: "User not found" });
-    if (name) user.name = name;
-    if (email) user.email = email;
-    if (role && ["user", "admin"].includes(role)) user.role = role;
-    await user.save();
-    res.json({
-      message: "User updated successfully",
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-      },
-    });
-  } catch (error) {
-    res.status(500).json({ message: "Server error", error: error.message });
+router.put(
+  "/users/:id",
+  requirePermission("users:edit"),
+  validate(userUpdateSchema),
+  async (req, res, next) => {
+    try {
+      const { name, email, role } = req.body;
+      const user = await User.findById(req.params.id);
+      if (!user) throw new NotFoundError("User not found");
+      const before = { name: user.name, email: user.email, role: user.role };
+      if (name) user.name = name;
+      const emailChanged = setEmail(user, email);
+      if (role && role !== user.role) {
+        if (!hasPermission(req.user, "users:manage-roles")) {
+          throw new ForbiddenError("Access denied. Missing permission.", {
+            missing: ["users:manage-roles"],
+          });
+        }
+        user.role = role;
+      }
+      await user.save();
+      if (emailChanged) await confirmNewEmail(user);
+      await recordAudit(req, {
+        // Role changes get their own action so they are easy to find
+        action: user.role !== before.role ? "user.role-change" : "user.update",
+        targetType: "user",
+        target: user,
+        before,
+        after: { name: user.name, email: user.email, role: user.role },
+      });
+      res.json({
+        message: "User updated successfully",
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 // Reset user password
-router.put("/users/:id/password", adminAuth, async (req, res) => {
-  try {
-    const { newPassword } = req.body;
-    if (!newPassword || newPassword.length < 6) {
-      return res
-        .status(400)
-        .json({ message: "New password must be at least 6 characters" });
-    }
-    const user = await User.findById(req.params.id);
-    if (!user) return res.status(404).json({ message: "User not found" });
-    user.password = newPassword;
-    await user.save();
-    res.json({ message: "Password reset successfully" });
-  } catch (error) {
-    res.status(500).json({ message: "Server error", error: error.message });
-  }
-});
+router.put(
+  "/users/:id/password",
+  requirePermission("users:edit"),
+  validate({
+    body: {
+      newPassword: {
+        type: "string",
+        required: true,
+        minLength: 6,
+        maxLength: 128,
+      },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { newPassword } = req.body;
+      const user = await User.findById(req.params.id);
+      if (!user) throw new NotFoundError("User not found");
+      const previousHash = user.password;
+      user.password = newPassword;
+      await user.save();
+      // Sign the user out everywhere
+      await revokeAllSessions(user._id);
+      await recordAudit(req, {
+        action: "user.password-reset",
+        targetType: "user",
+        target: user,
+        // Only the hashes are compared; the log stores neither
+        before: { password: previousHash },
+        after: { password: user.password },
+      });
+      res.json({ message: "Password reset successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Suspend, ban or reactivate a user. Suspensions need an `until` date.
+router.put(
+  "/users/:id/status",
+  requirePermission("users:suspend"),
+  validate(userStatusSchema),
+  async (req, res, next) => {
+    try {
+      const { status, reason, until } = req.body;
+
+      let suspendedUntil = null;
+      if (status === "suspended") {
+        if (!until) {
+          throw new ValidationError("until is required to suspend", [
+            {
+              location: "body",
+              field: "until",
+              message: "until is required to suspend",
+            },
+          ]);
+        }
+        suspendedUntil = new Date(until);
+        if (suspendedUntil <= new Date()) {
+          throw new BadRequestError("until must be in the future");
+        }
+      }
+
+      const user = await User.findById(req.params.id);
+      if (!user) throw new NotFoundError("User not found");
+
+      if (user._id.equals(req.user._id)) {
+        throw new BadRequestError("Cannot change your own account status");
+      }
+      if (user.role === "admin") {
+        throw new BadRequestError("Cannot change an admin's account status");
+      }
+
+      const statusFields = (u) => ({
+        status: u.status,
+        suspendedUntil: u.suspendedUntil,
+        statusReason: u.statusReason,
+      });
+      const before = statusFields(user);
+      user.status = status;
+      user.suspendedUntil = suspendedUntil;
+      user.statusReason = status === "active" ? "" : reason;
+      user.statusChangedBy = req.user._id;
+      user.statusChangedAt = new Date();
+      await user.save();
+
+      // Sign a suspended or banned user out everywhere
+      if (status !== "active") await revokeAllSessions(user._id);
+      await recordAudit(req, {
+        action: "user.status-change",
+        targetType: "user",
+        target: user,
+        before,
+        after: statusFields(user),
+      });
+
+      res.json({
+        message: "Account status updated",
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          status: user.status,
+          suspendedUntil: user.suspendedUntil,
+          statusReason: user.statusReason,
+          statusChangedBy: user.statusChangedBy,
+          statusChangedAt: user.statusChangedAt,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Lift a failed-login lockout
+router.delete(
+  "/users/:id/lockout",
+  requirePermission("users:edit"),
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.params.id);
+      if (!user) throw new NotFoundError("User not found");
+
+      await clearLockout(user._id);
+      await recordAudit(req, {
+        action: "user.lockout-lift",
+        targetType: "user",
+        target: user,
+        before: {
+          failedLoginAttempts: user.failedLoginAttempts,
+          lockedUntil: user.lockedUntil,
+        },
+        after: { failedLoginAttempts: 0, lockedUntil: null },
+      });
+      res.json({ message: "Lockout lifted" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
 // Delete user (admin only)
-router.delete("/users/:id", adminAuth, async (req, res) => {
-  try {
-    const user = await User.findById(req.params.id);
+router.delete(
+  "/users/:id",
+  requirePermission("users:delete"),
+  async (req, res, next) => {
+    try {
+      const user = await User.findById(req.params.id);
+
+      if (!user) {
+        throw new NotFoundError("User not found");
+      }
 
-    if (!user) {
-      console.error("Delete user error: User not found", req.params.id);
-      return res.status(404).json({ message: "User not found" });
+      // Don't allow admin to delete themselves or other admins
+      if (user.role === "admin") {
+        logger.warn("Attempt to delete an admin user", {
+          userId: req.params.id,
+        });
+        throw new BadRequestError("Cannot delete admin user");
+      }
+      // Move the user and their blogs to the trash with one timestamp, so
+      // restoring the user brings back exactly those blogs
+      const deletedAt = new Date();
+      const blogs = await Blog.updateMany(
+        { author: user._id, deletedAt: null },
+        { deletedAt, deletedBy: req.user._id }
+      );
+      await user.softDelete(req.user, deletedAt);
+      await revokeAllSessions(user._id);
+      await recordAudit(req, {
+        action: "user.delete",
+        targetType: "user",
+        target: user,
+        details: { blogsDeleted: blogs.modifiedCount },
+      });
+      res.json({ message: "User and their blogs deleted successfully" });
+    } catch (error) {
+      next(error);
     }
+  }
+);
+
+// Get dashboard stats: all-time totals plus analytics for a window of days
+// (?days=30 by default, or ?from and ?to)
+router.get(
+  "/stats",
+  requirePermission("stats:read"),
+  validate({ query: WINDOW_QUERY }),
+  async (req, res, next) => {
+    try {
+      const { window, error } = parseWindow(req.query);
+      if (error) throw new ValidationError(error);
 
-    // Don't allow admin to delete themselves or other admins
-    if (user.role === "admin") {
-      console.error(
-        "Delete user error: Attempt to delete admin user",
-        req.params.id
+      const totalUsers = await User.countDocuments({ role: "user" });
+      const totalBlogs = await Blog.countDocuments();
+      const totalComments = await Comment.countDocuments(ACTIVE_COMMENT);
+
+      res.json({
+        totalUsers,
+        totalBlogs,
+        totalComments,
+        ...(await getAnalytics(window)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Pre-compute the daily analytics rollups for a window (?days, or ?from and
+// ?to). Days already rolled up are skipped unless ?force=true.
+router.post(
+  "/stats/rollup",
+  requirePermission("maintenance:run"),
+  validate({
+    query: { force: { type: "boolean", default: false }, ...WINDOW_QUERY },
+  }),
+  async (req, res, next) => {
+    try {
+      const { window, error } = parseWindow(req.query);
+      if (error) throw new ValidationError(error);
+
+      const computed = await rollupRange(window.from, window.to, {
+        force: req.query.force,
+      });
+      res.json({ message: "Rollups computed", window, daysComputed: computed });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get a user's blogs/learning materials (paginated)
+router.get(
+  "/users/:id/blogs",
+  requirePermission("blogs:read:any"),
+  validate({ query: LIST_QUERY }),
+  async (req, res, next) => {
+    try {
+      const { options, error } = parseListOptions(req.query);
+      if (error) throw new ValidationError(error);
+
+      res.json(
+        await listBlogs(options, {
+          baseFilter: { author: new mongoose.Types.ObjectId(req.params.id) },
+          authorFields: "name email",
+        })
       );
-      return res.status(400).json({ message: "Cannot delete admin user" });
-    }
-    // Delete all blogs by this user
-    await Blog.deleteMany({ author: user._id });
-    // Delete the user
-    await User.deleteOne({ _id: user._id });
-    res.json({ message: "User and their blogs deleted successfully" });
-  } catch (error) {
-    console.error("Delete user error:", error);
-    res.status(500).json({ message: "Server error", error: error.message });
-  }
-});
-
-// Get dashboard stats
-router.get("/stats", adminAuth, async (req, res) => {
-  try {
-    const totalUsers = await User.countDocuments({ role: "user" });
-    const totalBlogs = await Blog.countDocuments();
-    const totalComments = await Blog.aggregate([
-      {
-        $group: { _id: null, totalComments: { $sum: { $size: "$comments" } } },
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Rate-limit policies and the clients currently being counted
+router.get(
+  "/rate-limits",
+  requirePermission("maintenance:run"),
+  async (req, res, next) => {
+    try {
+      res.json(await describeLimits());
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Clear a client's counter for a policy (?client=ip:<address> or user:<id>)
+router.delete(
+  "/rate-limits/:policy",
+  requirePermission("maintenance:run"),
+  validate({
+    query: {
+      client: {
+        type: "string",
+        required: true,
+        pattern: /^(ip|user):.+$/,
+        patternMessage: "must be ip:<address> or user:<id>",
       },
-    ]);
-
-    res.json({
-      totalUsers,
-      totalBlogs,
-      totalComments: totalComments[0]?.totalComments || 0,
-    });
-  } catch (error) {
-    res.status(500).json({ message: "Server error", error: error.message });
-  }
-});
-
-// Get a user's blogs/learning materials
-router.get("/users/:id/blogs", adminAuth, async (req, res) => {
-  try {
-    const blogs = await Blog.find({ author: req.params.id }).sort({
-      createdAt: -1,
-    });
-    res.json(blogs);
-  } catch (error) {
-    res.status(500).json({ message: "Server error", error: error.message });
-  }
-});
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { client } = req.query;
+      if (!POLICIES[req.params.policy]) {
+        throw new NotFoundError("Unknown rate limit policy");
+      }
+
+      await resetLimit(req.params.policy, client);
+      await recordAudit(req, {
+        action: "rate-limit.reset",
+        targetType: "rate-limit",
+        target: { _id: `${req.params.policy}:${client}` },
+      });
+      res.json({ message: "Rate limit reset" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Find and remove orphaned data and media (?dryRun=true to only report)
+router.post(
+  "/maintenance/reconcile",
+  requirePermission("maintenance:run"),
+  validate({ query: { dryRun: { type: "boolean", default: false } } }),
+  async (req, res, next) => {
+    try {
+      const report = await reconcileOrphans({ dryRun: req.query.dryRun });
+      if (!report.dryRun) {
+        await recordAudit(req, {
+          action: "maintenance.reconcile",
+          targetType: "system",
+          details: { ...report, orphanedFiles: report.orphanedFiles.length },
+        });
+      }
+      res.json(report);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// What a reviewer needs to see of the reported blog or comment
+const reportTarget = (report) => {
+  const blog = report.blog;
+  if (!blog) return null;
+  if (report.targetType === "blog") {
+    return {
+      _id: blog._id,
+      title: blog.title,
+      author: blog.author,
+      authorName: blog.authorName,
+      hiddenAt: blog.hiddenAt,
+      hiddenReason: blog.hiddenReason,
+    };
+  }
+  const comment = report.comment;
+  if (!comment || comment.deletedAt) return null;
+  return {
+    _id: comment._id,
+    blog: { _id: blog._id, title: blog.title },
+    user: comment.user,
+    userName: comment.userName,
+    content: comment.content,
+    hiddenAt: comment.hiddenAt,
+    hiddenReason: comment.hiddenReason,
+  };
+};
+
+// Moderation queue (?status=open by default, ?type=blog|comment, ?page, ?limit)
+router.get(
+  "/moderation/reports",
+  requirePermission("reports:review"),
+  validate(reportQueueSchema),
+  async (req, res, next) => {
+    try {
+      const { status, type } = req.query;
+
+      const options = parsePageOptions(req.query);
+
+      const filter = { status };
+      if (type) filter.targetType = type;
+
+      // Open reports are worked oldest first, reviewed ones newest first
+      const sort = status === "open" ? { createdAt: 1 } : { reviewedAt: -1 };
+      const [reports, total] = await Promise.all([
+        Report.find(filter)
+          .sort(sort)
+          .skip((options.page - 1) * options.limit)
+          .limit(options.limit)
+          .populate("reporter", "name email")
+          .populate("reviewedBy", "name email")
+          .populate("blog", "title author authorName hiddenAt hiddenReason")
+          .populate(
+            "comment",
+            "user userName content deletedAt hiddenAt hiddenReason"
+          )
+          .lean(),
+        Report.countDocuments(filter),
+      ]);
+
+      res.json({
+        reports: reports.map((report) => ({
+          ...report,
+          blog: report.blog ? report.blog._id : null,
+          comment: report.comment ? report.comment._id : null,
+          target: reportTarget(report),
+        })),
+        pagination: {
+          page: options.page,
+          limit: options.limit,
+          total,
+          totalPages: Math.ceil(total / options.limit),
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Review a report: dismiss it, hide the content or remove it. Every open
+// report on the same content is closed with the same decision.
+router.put(
+  "/moderation/reports/:id",
+  requirePermission("reports:review"),
+  validate({
+    body: {
+      action: { type: "string", required: true, enum: REPORT_ACTIONS },
+      notes: { type: "string", maxLength: 2000, default: "" },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const report = await Report.findById(req.params.id);
+      if (!report) {
+        throw new NotFoundError("Report not found");
+      }
+
+      const { action, notes } = req.body;
+      const result = await resolveReport(report, {
+        action,
+        notes,
+        reviewer: req.user,
+      });
+      if (result.error) throw errorForStatus(result.status, result.error);
+      await recordAudit(req, {
+        action: `report.${action}`,
+        targetType: report.targetType,
+        target: result.comment || result.blog,
+        label: result.blog.title,
+        details: { report: report._id, notes, reportsClosed: result.reports },
+      });
+
+      res.json({
+        message: "Report reviewed",
+        action,
+        reportsClosed: result.reports,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Permission needed to see, restore or purge each kind of trashed item
+const TRASH_PERMISSIONS = {
+  blogs: "blogs:delete:any",
+  users: "users:delete",
+  comments: "comments:delete:any",
+};
+
+const requireTrashPermission = (type) =>
+  requirePermission(TRASH_PERMISSIONS[type]);
+
+// List trashed items (?type=blogs|users|comments, ?page, ?limit)
+router.get(
+  "/trash",
+  requirePermission("admin:access"),
+  validate({
+    query: {
+      type: { type: "string", enum: trash.TRASH_TYPES, default: "blogs" },
+      ...PAGE_QUERY,
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { type } = req.query;
+      if (!hasPermission(req.user, TRASH_PERMISSIONS[type])) {
+        throw new ForbiddenError("Access denied. Missing permission.", {
+          missing: [TRASH_PERMISSIONS[type]],
+        });
+      }
+
+      const options = parsePageOptions(req.query);
+
+      res.json(await trash.listTrash(type, options));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Restore a trashed blog
+router.post(
+  "/trash/blogs/:id/restore",
+  requireTrashPermission("blogs"),
+  async (req, res, next) => {
+    try {
+      const blog = await trash.restoreBlog(req.params.id);
+      if (!blog) {
+        throw new NotFoundError("Blog not found in trash");
+      }
+      await recordAudit(req, {
+        action: "blog.restore",
+        targetType: "blog",
+        target: blog,
+      });
+      res.json({ message: "Blog restored successfully", blog });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Restore a trashed user and the blogs deleted with them
+router.post(
+  "/trash/users/:id/restore",
+  requireTrashPermission("users"),
+  async (req, res, next) => {
+    try {
+      const result = await trash.restoreUser(req.params.id);
+      if (!result) {
+        throw new NotFoundError("User not found in trash");
+      }
+      await recordAudit(req, {
+        action: "user.restore",
+        targetType: "user",
+        target: result.user,
+        details: { blogsRestored: result.blogsRestored },
+      });
+      const user = result.user.toObject();
+      delete user.password;
+      res.json({
+        message: "User restored successfully",
+        user,
+        blogsRestored: result.blogsRestored,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Restore a trashed comment and the replies deleted with it
+router.post(
+  "/trash/comments/:blogId/:commentId/restore",
+  requireTrashPermission("comments"),
+  async (req, res, next) => {
+    try {
+      const result = await trash.restoreComment(
+        req.params.blogId,
+        req.params.commentId
+      );
+      if (result.error) throw errorForStatus(result.status, result.error);
+      await recordAudit(req, {
+        action: "comment.restore",
+        targetType: "comment",
+        target: result.comment,
+        label: result.comment.content.slice(0, 100),
+        details: { blog: req.params.blogId, restored: result.restored },
+      });
+      res.json({
+        message: "Comment restored successfully",
+        comment: result.comment,
+        restored: result.restored,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Permanently delete a trashed blog
+router.delete(
+  "/trash/blogs/:id",
+  requireTrashPermission("blogs"),
+  async (req, res, next) => {
+    try {
+      const cleanup = await trash.purgeBlog(req.params.id);
+      if (!cleanup) {
+        throw new NotFoundError("Blog not found in trash");
+      }
+      await recordAudit(req, {
+        action: "blog.purge",
+        targetType: "blog",
+        target: { _id: req.params.id },
+        details: cleanup,
+      });
+      res.json({ message: "Blog permanently deleted", cleanup });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Permanently delete a trashed user, their blogs, media and activity
+router.delete(
+  "/trash/users/:id",
+  requireTrashPermission("users"),
+  async (req, res, next) => {
+    try {
+      const cleanup = await trash.purgeUser(req.params.id);
+      if (!cleanup) {
+        throw new NotFoundError("User not found in trash");
+      }
+      await recordAudit(req, {
+        action: "user.purge",
+        targetType: "user",
+        target: { _id: req.params.id },
+        details: cleanup,
+      });
+      res.json({ message: "User permanently deleted", cleanup });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Permanently delete a trashed comment and its replies
+router.delete(
+  "/trash/comments/:blogId/:commentId",
+  requireTrashPermission("comments"),
+  async (req, res, next) => {
+    try {
+      const cleanup = await trash.purgeComment(
+        req.params.blogId,
+        req.params.commentId
+      );
+      if (!cleanup) {
+        throw new NotFoundError("Comment not found in trash");
+      }
+      await recordAudit(req, {
+        action: "comment.purge",
+        targetType: "comment",
+        target: { _id: req.params.commentId },
+        details: { blog: req.params.blogId, ...cleanup },
+      });
+      res.json({ message: "Comment permanently deleted", cleanup });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Audit log (?actor, ?action, ?targetType, ?target, ?from, ?to, ?page,
+// ?limit; ?format=csv exports every matching entry)
+router.get(
+  "/audit",
+  requirePermission("audit:read"),
+  validate(auditQuerySchema),
+  async (req, res, next) => {
+    try {
+      const options = parseAuditQuery(req.query);
+
+      if (req.query.format === "csv") {
+        return await streamAuditCsv(res, options.filter);
+      }
+      res.json(await listAudit(options));
+    } catch (error) {
+      if (res.headersSent) return res.end();
+      next(error);
+    }
+  }
+);
 
 module.exports = router;
@@ -1,162 +1,415 @@
 const express = require("express");
-const jwt = require("jsonwebtoken");
 const User = require("../models/User");
-const { auth } = require("../middleware/auth");
+const { auth, optionalAuth } = require("../middleware/auth");
+const { rateLimit } = require("../middleware/rateLimit");
 const router = express.Router();
-const multer = require("multer");
-const path = require("path");
-const { avatarStorage } = require("../utils/cloudinary");
+const { fromUpload, deleteAsset } = require("../utils/storage");
+const { avatarUpload, discardUploadsOnError } = require("../middleware/upload");
+const Session = require("../models/Session");
+const {
+  startSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  clearAuthCookies,
+} = require("../utils/session");
+const {
+  consumeToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  setEmail,
+  confirmNewEmail,
+} = require("../utils/authTokens");
+const { ROLE_PERMISSIONS, hasPermission } = require("../utils/permissions");
+const {
+  accountBlock,
+  accountBlockedError,
+  verifyLogin,
+} = require("../utils/accountStatus");
+const { validate, objectIdParam } = require("../middleware/validate");
+const {
+  ValidationError,
+  BadRequestError,
+  UnauthorizedError,
+  ConflictError,
+  NotFoundError,
+  errorForStatus,
+} = require("../utils/errors");
+const { logger } = require("../utils/logger");
+
+router.param("id", objectIdParam);
+
+const NAME = { type: "string", trim: true, minLength: 1, maxLength: 100 };
+const PASSWORD = { type: "string", minLength: 6, maxLength: 128 };
+
+const signupSchema = {
+  body: {
+    name: { ...NAME, required: true },
+    email: { type: "email", required: true },
+    password: { ...PASSWORD, required: true },
+  },
+};
+
+const loginSchema = {
+  body: {
+    email: { type: "email", required: true },
+    password: { type: "string", required: true },
+  },
+};
+
+const profileSchema = {
+  body: {
+    name: NAME,
+    email: { type: "email" },
+    bio: { type: "string", maxLength: 500 },
+    // Only "" to remove the avatar; new ones go through POST /me/avatar
+    avatar: { type: "string", maxLength: 2048 },
+  },
+};
+
+// The error for a login refused by verifyLogin. Wrong credentials get the
+// route's own message; lockouts and blocked accounts say why.
+const loginError = (res, result, invalidMessage) => {
+  if (result.block) return accountBlockedError(result.block);
+  if (result.retryAfter) res.set("Retry-After", String(result.retryAfter));
+  return errorForStatus(
+    result.status,
+    result.status === 400 ? invalidMessage : result.error,
+    result.lockedUntil && { lockedUntil: result.lockedUntil }
+  );
+};
 
 // Register new user
-router.post("/signup", async (req, res) => {
-  try {
-    const { name, email, password } = req.body;
+router.post(
+  "/signup",
+  rateLimit("signup"),
+  validate(signupSchema),
+  async (req, res, next) => {
+    try {
+      const { name, email, password } = req.body;
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ message: "User already exists" });
-    }
+      // Check if user already exists (a trashed account still holds its email)
+      const existingUser = await User.findOne({ email }).setOptions({
+        withDeleted: true,
+      });
+      if (existingUser) {
+        throw new ConflictError("User already exists");
+      }
 
-    // Create new user
-    const user = new User({
-      name,
-      email,
-      password,
-    });
+      // Create new user
+      const user = new User({
+        name,
+        email,
+        password,
+        emailVerified: false,
+      });
 
-    await user.save();
+      await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "7d",
-    });
+      // A mail failure should not block signup; the user can ask for a resend
+      try {
+        await sendVerificationEmail(user);
+      } catch (mailError) {
+        logger.error("Verification email error", {
+          userId: user._id,
+          error: mailError,
+        });
+      }
 
-    // Set cookie
-    res.cookie("token", token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    });
+      // Start a session: short-lived access token + rotating refresh token
+      await startSession(req, res, user);
 
-    res.status(201).json({
-      message: "User created successfully",
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-      },
-    });
-  } catch (error) {
-    res.status(500).json({ message: "Server error", error: error.message });
+      res.status(201).json({
+        message: "User created successfully",
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          emailVerified: user.emailVerified,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 // Login user
-router.post("/login", async (req, res) => {
-  try {
-    const { email, password } = req.body;
+router.post(
+  "/login",
+  rateLimit("login"),
+  validate(loginSchema),
+  async (req, res, next) => {
+    try {
+      const { email, password } = req.body;
+
+      // Find user, then check lockout, password and account state
+      const user = await User.findOne({ email });
+      const result = await verifyLogin(user, password);
+      if (result.error) throw loginError(res, result, "Invalid credentials");
+
+      // Start a session: short-lived access token + rotating refresh token
+      await startSession(req, res, user);
 
-    // Find user
-    const user = await User.findOne({ email });
-    if (!user) {
-      return res.status(400).json({ message: "Invalid credentials" });
+      res.json({
+        message: "Login successful",
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+        },
+      });
+    } catch (error) {
+      next(error);
     }
+  }
+);
+
+// Admin login (staff accounts only: any role with admin dashboard access)
+router.post(
+  "/admin-login",
+  rateLimit("login"),
+  validate(loginSchema),
+  async (req, res, next) => {
+    try {
+      const { email, password } = req.body;
 
-    // Check password
-    const isMatch = await user.comparePassword(password);
-    if (!isMatch) {
-      return res.status(400).json({ message: "Invalid credentials" });
+      const admin = await User.findOne({ email });
+      const result = await verifyLogin(admin, password);
+      if (result.error) {
+        throw loginError(res, result, "Invalid admin credentials");
+      }
+      if (!hasPermission(admin, "admin:access")) {
+        throw new BadRequestError("Invalid admin credentials");
+      }
+
+      // Start a session: short-lived access token + rotating refresh token
+      await startSession(req, res, admin);
+
+      res.json({
+        message: "Admin login successful",
+        user: {
+          id: admin._id,
+          name: admin.name,
+          email: admin.email,
+          role: admin.role,
+          permissions: ROLE_PERMISSIONS[admin.role],
+        },
+      });
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    // Generate JWT token
-    const token = jwt.sign({ userId: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "7d",
-    });
+// Verify email address with the token from the verification email
+router.post(
+  "/verify-email",
+  validate({ body: { token: { type: "string", required: true } } }),
+  async (req, res, next) => {
+    try {
+      const { token } = req.body;
 
-    // Set cookie
-    res.cookie("token", token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    });
+      const authToken = await consumeToken(token, "verify-email");
+      if (!authToken) {
+        throw new BadRequestError(
+          "Verification link is invalid or has expired"
+        );
+      }
 
-    res.json({
-      message: "Login successful",
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-      },
-    });
-  } catch (error) {
-    res.status(500).json({ message: "Server error", error: error.message });
+      await User.updateOne(
+        { _id: authToken.user },
+        { emailVerified: true, emailVerifiedAt: new Date() }
+      );
+      res.json({ message: "Email verified successfully" });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
-// Admin login
-router.post("/admin-login", async (req, res) => {
+// Send a new verification email to the current user
+router.post("/resend-verification", auth, async (req, res, next) => {
   try {
-    const { email, password } = req.body;
-
-    // Check if it's admin credentials
-    if (
-      email !== process.env.ADMIN_EMAIL ||
-      password !== process.env.ADMIN_PASSWORD
-    ) {
-      return res.status(400).json({ message: "Invalid admin credentials" });
+    if (req.user.emailVerified !== false) {
+      throw new BadRequestError("Email is already verified");
     }
+    await sendVerificationEmail(req.user);
+    res.json({ message: "Verification email sent" });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Find or create admin user
-    let admin = await User.findOne({ email: process.env.ADMIN_EMAIL });
+// Request a password reset email
+router.post(
+  "/forgot-password",
+  validate({ body: { email: { type: "email", required: true } } }),
+  async (req, res, next) => {
+    try {
+      const user = await User.findOne({ email: req.body.email });
+      if (user) {
+        // A mail failure must not answer differently for existing accounts
+        try {
+          await sendPasswordResetEmail(user);
+        } catch (mailError) {
+          logger.error("Password reset email error", {
+            userId: user._id,
+            error: mailError,
+          });
+        }
+      }
 
-    if (!admin) {
-      admin = new User({
-        name: "Admin",
-        email: process.env.ADMIN_EMAIL,
-        password: process.env.ADMIN_PASSWORD,
-        role: "admin",
+      // Same response either way so this cannot be used to probe for accounts
+      res.json({
+        message:
+          "If an account exists for that email, a reset link has been sent",
       });
-      await admin.save();
-    } else if (admin.role !== "admin") {
-      admin.role = "admin";
-      await admin.save();
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    // Generate JWT token
-    const token = jwt.sign({ userId: admin._id }, process.env.JWT_SECRET, {
-      expiresIn: "7d",
-    });
+// Set a new password with the token from the reset email
+router.post(
+  "/reset-password",
+  validate({
+    body: {
+      token: { type: "string", required: true },
+      newPassword: { ...PASSWORD, required: true },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { token, newPassword } = req.body;
 
-    // Set cookie
-    res.cookie("token", token, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
-    });
+      const authToken = await consumeToken(token, "reset-password");
+      if (!authToken) {
+        throw new BadRequestError("Reset link is invalid or has expired");
+      }
 
-    res.json({
-      message: "Admin login successful",
-      user: {
-        id: admin._id,
-        name: admin.name,
-        email: admin.email,
-        role: admin.role,
-      },
-    });
+      const user = await User.findById(authToken.user);
+      if (!user) throw new NotFoundError("User not found");
+
+      user.password = newPassword;
+      // Receiving the reset email proves ownership of the address
+      if (user.emailVerified === false) {
+        user.emailVerified = true;
+        user.emailVerifiedAt = new Date();
+      }
+      // A new password also lifts any failed-login lockout
+      user.failedLoginAttempts = 0;
+      user.lockedUntil = null;
+      await user.save();
+      await revokeAllSessions(user._id);
+
+      res.json({ message: "Password reset successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Exchange the refresh token for a new access token (rotates the refresh token)
+router.post("/refresh", async (req, res, next) => {
+  try {
+    const { session, error } = await rotateSession(req, res);
+    if (error) {
+      clearAuthCookies(res);
+      throw new UnauthorizedError(error);
+    }
+
+    // Suspended or banned accounts cannot keep their sessions alive
+    const user = await User.findById(session.user);
+    const block = user ? accountBlock(user) : null;
+    if (!user || block) {
+      await revokeSession(session._id, session.user);
+      clearAuthCookies(res);
+      throw block
+        ? accountBlockedError(block)
+        : new UnauthorizedError("Invalid refresh token");
+    }
+    res.json({ message: "Token refreshed" });
   } catch (error) {
-    res.status(500).json({ message: "Server error", error: error.message });
+    next(error);
   }
 });
 
-// Logout
-router.post("/logout", (req, res) => {
-  res.clearCookie("token");
-  res.json({ message: "Logged out successfully" });
+// Logout (revokes the current session)
+router.post("/logout", optionalAuth, async (req, res, next) => {
+  try {
+    if (req.session) await revokeSession(req.session._id, req.user._id);
+    clearAuthCookies(res);
+    res.json({ message: "Logged out successfully" });
+  } catch (error) {
+    next(error);
+  }
 });
 
+// List the current user's active sessions
+router.get("/sessions", auth, async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+
+    res.json(
+      sessions.map((session) => ({
+        id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: session._id.equals(req.session._id),
+      }))
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke one of the current user's sessions
+router.delete("/sessions/:id", auth, async (req, res, next) => {
+  try {
+    const result = await revokeSession(req.params.id, req.user._id);
+    if (!result.modifiedCount) {
+      throw new NotFoundError("Session not found");
+    }
+    if (req.session._id.toString() === req.params.id) clearAuthCookies(res);
+    res.json({ message: "Session revoked" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke all of the current user's sessions (?keepCurrent=true to stay signed in)
+router.delete(
+  "/sessions",
+  auth,
+  validate({ query: { keepCurrent: { type: "boolean", default: false } } }),
+  async (req, res, next) => {
+    try {
+      const { keepCurrent } = req.query;
+      const result = await revokeAllSessions(req.user._id, {
+        except: keepCurrent ? req.session._id : undefined,
+      });
+      if (!keepCurrent) clearAuthCookies(res);
+      res.json({
+        message: "Sessions revoked",
+        revoked: result.modifiedCount,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // Get current user
 router.get("/me", auth, (req, res) => {
   res.json({
@@ -165,23 +418,42 @@ router.get("/me", auth, (req, res) => {
       name: req.user.name,
       email: req.user.email,
       role: req.user.role,
+      permissions: ROLE_PERMISSIONS[req.user.role] || [],
       bio: req.user.bio,
       avatar: req.user.avatar,
+      emailVerified: req.user.emailVerified !== false,
     },
   });
 });
 
 // Update current user's profile
-router.put("/me", auth, async (req, res) => {
+router.put("/me", auth, validate(profileSchema), async (req, res, next) => {
   try {
     const { name, email, bio, avatar } = req.body;
     const user = await User.findById(req.user._id);
-    if (!user) return res.status(404).json({ message: "User not found" });
+    if (!user) throw new NotFoundError("User not found");
     if (name) user.name = name;
-    if (email) user.email = email;
+    const emailChanged = setEmail(user, email);
     if (bio !== undefined) user.bio = bio;
-    if (avatar !== undefined) user.avatar = avatar;
+    let removedAsset = null;
+    if (avatar !== undefined && avatar !== user.avatar) {
+      // Avatars are only ever set by an upload, so an arbitrary URL never
+      // ends up tracked (or deleted) as one of our files
+      if (avatar !== "") {
+        const message = "avatar can only be cleared; upload a new one instead";
+        throw new ValidationError(message, [
+          { location: "body", field: "avatar", message },
+        ]);
+      }
+      removedAsset = user.avatarAsset;
+      user.avatar = "";
+      user.avatarAsset = undefined;
+    }
     await user.save();
+    await deleteAsset(removedAsset);
+
+    if (emailChanged) await confirmNewEmail(user);
+
     res.json({
       message: "Profile updated successfully",
       user: {
@@ -191,58 +463,71 @@ router.put("/me", auth, async (req, res) => {
         role: user.role,
         bio: user.bio,
         avatar: user.avatar,
+        emailVerified: user.emailVerified !== false,
       },
     });
   } catch (error) {
-    res.status(500).json({ message: "Server error", error: error.message });
+    next(error);
   }
 });
 
 // Change current user's password
-router.put("/me/password", auth, async (req, res) => {
-  try {
-    const { currentPassword, newPassword } = req.body;
-    if (!currentPassword || !newPassword) {
-      return res
-        .status(400)
-        .json({ message: "Current and new password are required" });
-    }
-    const user = await User.findById(req.user._id);
-    if (!user) return res.status(404).json({ message: "User not found" });
-    const isMatch = await user.comparePassword(currentPassword);
-    if (!isMatch) {
-      return res.status(400).json({ message: "Current password is incorrect" });
+router.put(
+  "/me/password",
+  auth,
+  validate({
+    body: {
+      currentPassword: { type: "string", required: true },
+      newPassword: { ...PASSWORD, required: true },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
+      const user = await User.findById(req.user._id);
+      if (!user) throw new NotFoundError("User not found");
+      const isMatch = await user.comparePassword(currentPassword);
+      if (!isMatch) {
+        throw new BadRequestError("Current password is incorrect");
+      }
+      user.password = newPassword;
+      await user.save();
+      // Sign out every other device
+      await revokeAllSessions(user._id, { except: req.session._id });
+      res.json({ message: "Password updated successfully" });
+    } catch (error) {
+      next(error);
     }
-    user.password = newPassword;
-    await user.save();
-    res.json({ message: "Password updated successfully" });
-  } catch (error) {
-    res.status(500).json({ message: "Server error", error: error.message });
   }
-});
+);
 
-// Multer config for avatar upload (20 KB limit)
-const avatarUpload = multer({
-  storage: avatarStorage,
-  limits: { fileSize: 20 * 1024 }, // 20 KB
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith("image/")) {
-      cb(null, true);
-    } else {
-      cb(new Error("Only image files are allowed!"), false);
-    }
-  },
-});
+// Avatar upload endpoint (saves the new avatar and deletes the old one)
+router.post(
+  "/me/avatar",
+  auth,
+  discardUploadsOnError,
+  avatarUpload.single("avatar"),
+  async (req, res, next) => {
+    try {
+      if (!req.file) {
+        throw new ValidationError("No file uploaded", [
+          { location: "body", field: "avatar", message: "avatar is required" },
+        ]);
+      }
+      const { url, asset } = fromUpload(req.file);
 
-// Avatar upload endpoint
-router.post("/me/avatar", auth, avatarUpload.single("avatar"), (req, res) => {
-  if (!req.file) {
-    return res
-      .status(400)
-      .json({ message: "No file uploaded or file is too large (max 20 KB)" });
+      const user = await User.findById(req.user._id);
+      const previous = user.avatarAsset;
+      user.avatar = url;
+      user.avatarAsset = asset;
+      await user.save();
+      await deleteAsset(previous);
+
+      res.json({ avatar: url });
+    } catch (error) {
+      next(error);
+    }
   }
-  const avatarUrl = req.file.path; // Cloudinary URL
-  res.json({ avatar: avatarUrl });
-});
+);
 
 module.exports = router;
@@ -1,249 +1,1332 @@
 const express = require("express");
-const multer = require("multer");
-const path = require("path");
+const mongoose = require("mongoose");
 const Blog = require("../models/Blog");
-const { auth } = require("../middleware/auth");
+const Follow = require("../models/Follow");
+const {
+  auth,
+  optionalAuth,
+  requirePermission,
+  requireVerified,
+} = require("../middleware/auth");
 const router = express.Router();
-const { blogImageStorage } = require("../utils/cloudinary");
+const { fromUpload, deleteAsset } = require("../utils/storage");
+const {
+  blogImageUpload: upload,
+  discardUploadsOnError,
+} = require("../middleware/upload");
+const { rateLimit } = require("../middleware/rateLimit");
+const { validate, objectIdParam } = require("../middleware/validate");
+const {
+  ValidationError,
+  BadRequestError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  errorForStatus,
+} = require("../utils/errors");
+const { recordAudit } = require("../utils/audit");
+const { recordView } = require("../utils/analytics");
+const { toggleLike, likerIds, withLikes } = require("../utils/likes");
+const { notify } = require("../utils/notifications");
+const {
+  MAX_GALLERY_IMAGES,
+  generateDefaultCover,
+  replaceCover,
+  addGalleryImages,
+} = require("../utils/blogMedia");
+const {
+  publishedFilter,
+  LIST_QUERY,
+  parseListOptions,
+  listBlogs,
+  listFeed,
+} = require("../utils/blogQuery");
+const {
+  SEARCH_QUERY,
+  parseSearchOptions,
+  searchBlogs,
+} = require("../utils/blogSearch");
+const BlogRevision = require("../models/BlogRevision");
+const {
+  snapshotOf,
+  recordRevision,
+  saveWithRevision,
+  diffRevisions,
+} = require("../utils/revisions");
+const {
+  MAX_COMMENT_DEPTH,
+  findActiveComment,
+  createComment,
+  listComments,
+  softDeleteComments,
+  parseThreadOptions,
+  loadThread,
+} = require("../utils/comments");
+const { PAGE_QUERY, parsePageOptions } = require("../utils/pagination");
+const { isOwnerOr } = require("../utils/permissions");
+const { sanitizeComment } = require("../utils/markdown");
+const {
+  REPORT_REASONS,
+  findBannedWords,
+  fileReport,
+} = require("../utils/moderation");
+const Category = require("../models/Category");
+const {
+  categoryWithDescendants,
+  wouldCreateCycle,
+  buildCategoryTree,
+} = require("../utils/categories");
 
-// Configure multer for image upload
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, "uploads/");
+["id", "blogId", "commentId", "imageId"].forEach((name) =>
+  router.param(name, objectIdParam)
+);
+
+const STATUSES = ["draft", "scheduled", "published"];
+
+// Tags come as an array, or as a comma-separated string from forms
+const BLOG_FIELDS = {
+  title: { type: "string", trim: true, minLength: 1, maxLength: 200 },
+  description: { type: "string", minLength: 1, maxLength: 100000 },
+  tags: {
+    type: ["array", "string"],
+    maxItems: 20,
+    items: { type: "string", maxLength: 50 },
   },
-  filename: function (req, file, cb) {
-    cb(null, Date.now() + path.extname(file.originalname));
+  category: { type: "objectId", nullable: true },
+};
+
+const createBlogSchema = {
+  body: {
+    ...BLOG_FIELDS,
+    title: { ...BLOG_FIELDS.title, required: true },
+    description: { ...BLOG_FIELDS.description, required: true },
+    status: { type: "string", enum: STATUSES, default: "published" },
+    publishAt: { type: "date", nullable: true },
   },
-});
+};
 
-const upload = multer({
-  storage: blogImageStorage,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith("image/")) {
-      cb(null, true);
-    } else {
-      cb(new Error("Only image files are allowed!"), false);
-    }
+const CATEGORY_FIELDS = {
+  name: { type: "string", trim: true, minLength: 1, maxLength: 100 },
+  slug: {
+    type: "string",
+    trim: true,
+    maxLength: 100,
+    pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/i,
+    patternMessage: "may only contain letters, numbers and dashes",
+  },
+  description: { type: "string", maxLength: 500 },
+  parent: { type: "objectId", nullable: true },
+};
+
+// Alt text and captions match the gallery files by position
+const GALLERY_TEXT = {
+  alt: {
+    type: ["string", "array"],
+    maxLength: 300,
+    items: { type: "string", maxLength: 300 },
   },
+  caption: {
+    type: ["string", "array"],
+    maxLength: 500,
+    items: { type: "string", maxLength: 500 },
+  },
+};
+
+const COMMENT_CONTENT = {
+  type: "string",
+  required: true,
+  maxLength: 5000,
+};
+
+const reportSchema = {
+  body: {
+    reason: { type: "string", required: true, enum: REPORT_REASONS },
+    details: { type: "string", maxLength: 1000 },
+  },
+};
+
+const revisionParams = {
+  params: { revision: { type: "integer", min: 1 } },
+};
+
+// Accept tags as an array or a comma-separated string (multipart forms)
+const parseTags = (tags) => {
+  if (!tags) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(",");
+  return [...new Set(list.map((t) => String(t).trim().toLowerCase()))].filter(
+    Boolean
+  );
+};
+
+const categoryExists = async (id) => !!(await Category.exists({ _id: id }));
+
+// Look up a validated category id from a request body. Empty values clear
+// the category.
+const resolveCategory = async (id) => {
+  if (!id) return { category: null };
+  const category = await Category.findById(id);
+  if (!category) return { error: "Category not found" };
+  return { category: category._id };
+};
+
+// Sanitize comment content. Throws when nothing is left or it contains
+// banned words.
+const checkCommentContent = (raw) => {
+  const content = sanitizeComment(raw);
+  if (!content) {
+    throw new ValidationError("Comment content is required", [
+      { location: "body", field: "content", message: "content is required" },
+    ]);
+  }
+  const words = findBannedWords(content);
+  if (words.length) {
+    throw new ValidationError("Comment contains words that are not allowed", [
+      {
+        location: "body",
+        field: "content",
+        message: "content contains words that are not allowed",
+        words,
+      },
+    ]);
+  }
+  return content;
+};
+
+// Drafts, scheduled posts and posts hidden by moderation are only visible
+// to their author and staff allowed to read any post
+const canView = (blog, user) =>
+  (!blog.hiddenAt && (!blog.status || blog.status === "published")) ||
+  isOwnerOr(blog.author, user, "blogs:read:any");
+
+// Work out status/publishAt for a create or schedule request
+const resolveLifecycle = (status, publishAt) => {
+  if (status !== "scheduled") {
+    return {
+      status,
+      publishAt: null,
+      publishedAt: status === "published" ? new Date() : null,
+    };
+  }
+  const date = new Date(publishAt);
+  if (!publishAt || isNaN(date.getTime())) {
+    return { error: "A valid publishAt date is required to schedule a post" };
+  }
+  if (date <= new Date()) {
+    return { error: "publishAt must be in the future" };
+  }
+  return { status, publishAt: date, publishedAt: null };
+};
+
+// Get published blogs (paginated, filterable, sortable)
+router.get("/", validate({ query: LIST_QUERY }), async (req, res, next) => {
+  try {
+    const { options, error } = parseListOptions(req.query);
+    if (error) throw new ValidationError(error);
+
+    res.json(await listBlogs(options, { baseFilter: publishedFilter }));
+  } catch (error) {
+    next(error);
+  }
 });
 
-// Get all blogs
-router.get("/", async (req, res) => {
+// Personalized feed: posts from followed authors first, then everything
+// else, newest first within each (?following=true for followed authors only,
+// ?page, ?limit)
+router.get(
+  "/feed",
+  auth,
+  validate({
+    query: { following: { type: "boolean", default: false }, ...PAGE_QUERY },
+  }),
+  async (req, res, next) => {
+    try {
+      const options = parsePageOptions(req.query);
+
+      const authorIds = await Follow.find({ follower: req.user._id }).distinct(
+        "following"
+      );
+      res.json(
+        await listFeed(authorIds, {
+          ...options,
+          followingOnly: req.query.following,
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Search blogs by title, description and optionally comments
+router.get(
+  "/search",
+  validate({ query: SEARCH_QUERY }),
+  async (req, res, next) => {
+    try {
+      const { options, error } = parseSearchOptions(req.query);
+      if (error) throw new ValidationError(error);
+
+      res.json(await searchBlogs(options, { baseFilter: publishedFilter }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// List tags used on published posts, with post counts
+router.get("/tags", async (req, res, next) => {
   try {
-    const blogs = await Blog.find()
-      .populate("author", "name")
-      .sort({ createdAt: -1 });
+    const tags = await Blog.aggregate([
+      { $match: publishedFilter },
+      { $unwind: "$tags" },
+      { $group: { _id: "$tags", count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, tag: "$_id", count: 1 } },
+    ]);
+    res.json(tags);
+  } catch (error) {
+    next(error);
+  }
+});
 
-    res.json(blogs);
+// Browse published posts with a tag
+router.get(
+  "/tags/:tag",
+  validate({ query: LIST_QUERY }),
+  async (req, res, next) => {
+    try {
+      const { options, error } = parseListOptions({
+        ...req.query,
+        tag: req.params.tag,
+      });
+      if (error) throw new ValidationError(error);
+
+      res.json(await listBlogs(options, { baseFilter: publishedFilter }));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Category tree with published post counts
+router.get("/categories", async (req, res, next) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find().sort({ name: 1 }).lean(),
+      Blog.aggregate([
+        { $match: { ...publishedFilter, category: { $ne: null } } },
+        { $group: { _id: "$category", count: { $sum: 1 } } },
+      ]),
+    ]);
+    res.json(
+      buildCategoryTree(
+        categories,
+        new Map(counts.map((c) => [c._id.toString(), c.count]))
+      )
+    );
   } catch (error) {
-    res.status(500).json({ message: "Server error", error: error.message });
+    next(error);
   }
 });
 
-// Get single blog
-router.get("/:id", async (req, res) => {
+// Browse published posts in a category and its subcategories
+router.get(
+  "/categories/:slug",
+  validate({ query: LIST_QUERY }),
+  async (req, res, next) => {
+    try {
+      const { options, error } = parseListOptions(req.query);
+      if (error) throw new ValidationError(error);
+
+      const category = await Category.findOne({ slug: req.params.slug });
+      if (!category) {
+        throw new NotFoundError("Category not found");
+      }
+
+      const ids = await categoryWithDescendants(category._id);
+      const result = await listBlogs(options, {
+        baseFilter: {
+          ...publishedFilter,
+          category: { $in: ids.map((id) => new mongoose.Types.ObjectId(id)) },
+        },
+      });
+      res.json({ category, ...result });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+const categorySnapshot = (category) => ({
+  name: category.name,
+  slug: category.slug,
+  description: category.description,
+  parent: category.parent ? category.parent.toString() : null,
+});
+
+// Create category
+router.post(
+  "/categories",
+  requirePermission("categories:manage"),
+  validate({
+    body: {
+      ...CATEGORY_FIELDS,
+      name: { ...CATEGORY_FIELDS.name, required: true },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { name, slug, description, parent } = req.body;
+      if (parent && !(await categoryExists(parent))) {
+        throw new BadRequestError("Parent category not found");
+      }
+
+      const category = new Category({
+        name,
+        slug,
+        description,
+        parent: parent || null,
+      });
+      await category.save();
+      await recordAudit(req, {
+        action: "category.create",
+        targetType: "category",
+        target: category,
+        after: categorySnapshot(category),
+      });
+      res.status(201).json(category);
+    } catch (error) {
+      if (error.code === 11000) {
+        return next(new ConflictError("Category already exists"));
+      }
+      next(error);
+    }
+  }
+);
+
+// Update category
+router.put(
+  "/categories/:id",
+  requirePermission("categories:manage"),
+  validate({ body: CATEGORY_FIELDS }),
+  async (req, res, next) => {
+    try {
+      const { name, slug, description, parent } = req.body;
+      const category = await Category.findById(req.params.id);
+      if (!category) {
+        throw new NotFoundError("Category not found");
+      }
+      const before = categorySnapshot(category);
+
+      if (parent !== undefined) {
+        if (parent && !(await categoryExists(parent))) {
+          throw new BadRequestError("Parent category not found");
+        }
+        if (await wouldCreateCycle(category._id, parent)) {
+          throw new BadRequestError(
+            "A category cannot be nested inside itself"
+          );
+        }
+        category.parent = parent || null;
+      }
+      if (name) category.name = name;
+      if (slug) category.slug = slug;
+      if (description !== undefined) category.description = description;
+
+      await category.save();
+      await recordAudit(req, {
+        action: "category.update",
+        targetType: "category",
+        target: category,
+        before,
+        after: categorySnapshot(category),
+      });
+      res.json(category);
+    } catch (error) {
+      if (error.code === 11000) {
+        return next(new ConflictError("Category slug already in use"));
+      }
+      next(error);
+    }
+  }
+);
+
+// Delete category. Subcategories move up to its parent and its posts become
+// uncategorized.
+router.delete(
+  "/categories/:id",
+  requirePermission("categories:manage"),
+  async (req, res, next) => {
+    try {
+      const category = await Category.findById(req.params.id);
+      if (!category) {
+        throw new NotFoundError("Category not found");
+      }
+
+      await Category.updateMany(
+        { parent: category._id },
+        { parent: category.parent }
+      );
+      // Trashed blogs too, so a restore does not bring back a dead category
+      await Blog.updateMany(
+        { category: category._id },
+        { category: null },
+        { withDeleted: true }
+      );
+      await Category.deleteOne({ _id: category._id });
+      await recordAudit(req, {
+        action: "category.delete",
+        targetType: "category",
+        target: category,
+        before: categorySnapshot(category),
+      });
+      res.json({ message: "Category deleted successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get the current user's drafts and scheduled posts
+router.get(
+  "/drafts",
+  auth,
+  validate({ query: LIST_QUERY }),
+  async (req, res, next) => {
+    try {
+      const { options, error } = parseListOptions(req.query);
+      if (error) throw new ValidationError(error);
+
+      res.json(
+        await listBlogs(options, {
+          baseFilter: {
+            author: req.user._id,
+            status: { $in: ["draft", "scheduled"] },
+          },
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get single blog (unpublished posts only for the author or staff)
+router.get("/:id", optionalAuth, async (req, res, next) => {
   try {
     const blog = await Blog.findById(req.params.id)
       .populate("author", "name")
-      .populate("comments.user", "name");
+      .populate("category", "name slug");
 
-    if (!blog) {
-      return res.status(404).json({ message: "Blog not found" });
+    if (!blog || !canView(blog, req.user)) {
+      throw new NotFoundError("Blog not found");
     }
 
-    res.json(blog);
+    // Posts saved before Markdown rendering existed are rendered on read
+    if (!blog.descriptionHtml) blog.renderDescription();
+
+    await recordView(req, res, blog);
+    const [likes, comments] = await Promise.all([
+      likerIds(blog),
+      listComments(blog._id),
+    ]);
+    res.json({ ...blog.toJSON(), likes, comments });
   } catch (error) {
-    res.status(500).json({ message: "Server error", error: error.message });
+    next(error);
   }
 });
 
 // Create new blog
-router.post("/", auth, upload.single("image"), async (req, res) => {
-  try {
-    const { title, description } = req.body;
+router.post(
+  "/",
+  auth,
+  requireVerified,
+  discardUploadsOnError,
+  upload.single("image"),
+  validate(createBlogSchema),
+  async (req, res, next) => {
+    try {
+      const { title, description, status, publishAt } = req.body;
+
+      const lifecycle = resolveLifecycle(status, publishAt);
+      if (lifecycle.error) {
+        throw new ValidationError(lifecycle.error);
+      }
+
+      const { category, error } = await resolveCategory(req.body.category);
+      if (error) throw new ValidationError(error);
+
+      // Use uploaded image or default image
+      const uploaded = req.file ? fromUpload(req.file) : null;
+      const imageUrl = uploaded ? uploaded.url : generateDefaultCover(title);
 
-    if (!title || !description) {
-      return res
-        .status(400)
-        .json({ message: "Title and description are required" });
+      const blog = new Blog({
+        title,
+        description,
+        tags: parseTags(req.body.tags),
+        category,
+        image: imageUrl,
+        imageAsset: uploaded ? uploaded.asset : undefined,
+        author: req.user._id,
+        authorName: req.user.name,
+        status: lifecycle.status,
+        publishAt: lifecycle.publishAt,
+        publishedAt: lifecycle.publishedAt,
+      });
+
+      await blog.save();
+      await recordRevision(blog, { editor: req.user, source: "create" });
+
+      const populatedBlog = await blog.populate("author", "name");
+      res.status(201).json(populatedBlog);
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    // Use uploaded image or default image
-    const imageUrl = req.file
-      ? req.file.path // Cloudinary URL
-      : "https://via.placeholder.com/600x400?text=Blog+Image";
+// Update blog (multipart: an "image" file replaces the cover)
+router.put(
+  "/:id",
+  auth,
+  discardUploadsOnError,
+  upload.single("image"),
+  validate({ body: BLOG_FIELDS }),
+  async (req, res, next) => {
+    try {
+      const { title, description } = req.body;
+      const blog = await Blog.findById(req.params.id);
 
-    const blog = new Blog({
-      title,
-      description,
-      image: imageUrl,
-      author: req.user._id,
-      authorName: req.user.name,
-    });
+      if (!blog) {
+        throw new NotFoundError("Blog not found");
+      }
 
-    await blog.save();
+      // Check if user is author or may edit any post
+      if (!isOwnerOr(blog.author, req.user, "blogs:edit:any")) {
+        throw new ForbiddenError("Not authorized");
+      }
 
-    const populatedBlog = await blog.populate("author", "name");
-    res.status(201).json(populatedBlog);
-  } catch (error) {
-    res.status(500).json({ message: "Server error", error: error.message });
+      const before = snapshotOf(blog);
+      blog.title = title || blog.title;
+      blog.description = description || blog.description;
+      if (req.body.tags !== undefined) blog.tags = parseTags(req.body.tags);
+      if (req.body.category !== undefined) {
+        const { category, error } = await resolveCategory(req.body.category);
+        if (error) throw new ValidationError(error);
+        blog.category = category;
+      }
+
+      const previousCover = req.file ? replaceCover(blog, req.file) : null;
+
+      await saveWithRevision(blog, before, {
+        editor: req.user,
+        source:
+          blog.author.toString() === req.user._id.toString()
+            ? "author"
+            : "admin",
+      });
+      if (previousCover) {
+        await deleteAsset(previousCover.asset);
+      }
+
+      const updatedBlog = await blog.populate("author", "name");
+      res.json(updatedBlog);
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
+
+// Add gallery images (multipart "images", with optional alt/caption fields
+// matched to the files by position)
+router.post(
+  "/:id/gallery",
+  auth,
+  discardUploadsOnError,
+  upload.array("images", MAX_GALLERY_IMAGES),
+  validate({ body: GALLERY_TEXT }),
+  async (req, res, next) => {
+    try {
+      const blog = await Blog.findById(req.params.id);
+
+      if (!blog) {
+        throw new NotFoundError("Blog not found");
+      }
+      if (!isOwnerOr(blog.author, req.user, "blogs:edit:any")) {
+        throw new ForbiddenError("Not authorized");
+      }
+      if (!req.files || !req.files.length) {
+        throw new ValidationError("No images uploaded", [
+          { location: "body", field: "images", message: "images is required" },
+        ]);
+      }
+      if (blog.gallery.length + req.files.length > MAX_GALLERY_IMAGES) {
+        throw new BadRequestError(
+          `A gallery can hold at most ${MAX_GALLERY_IMAGES} images`
+        );
+      }
+
+      addGalleryImages(blog, req.files, req.body);
+      await blog.save();
+      res.status(201).json(blog.gallery);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Reorder gallery images (body: { order: [imageId, ...] } with every image)
+router.put(
+  "/:id/gallery/order",
+  auth,
+  validate({
+    body: {
+      order: { type: "array", required: true, items: { type: "objectId" } },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { order } = req.body;
+      const blog = await Blog.findById(req.params.id);
 
-// Update blog
-router.put("/:id", auth, async (req, res) => {
+      if (!blog) {
+        throw new NotFoundError("Blog not found");
+      }
+      if (!isOwnerOr(blog.author, req.user, "blogs:edit:any")) {
+        throw new ForbiddenError("Not authorized");
+      }
+
+      const current = blog.gallery.map((image) => image._id.toString());
+      if (
+        order.length !== current.length ||
+        new Set(order).size !== current.length ||
+        !order.every((id) => current.includes(id))
+      ) {
+        throw new ValidationError(
+          "order must list every gallery image id once"
+        );
+      }
+
+      blog.gallery = order.map((id) => blog.gallery.id(id).toObject());
+      await blog.save();
+      res.json(blog.gallery);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Update a gallery image's alt text or caption
+router.put(
+  "/:id/gallery/:imageId",
+  auth,
+  validate({
+    body: {
+      alt: { type: "string", maxLength: 300 },
+      caption: { type: "string", maxLength: 500 },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { alt, caption } = req.body;
+      const blog = await Blog.findById(req.params.id);
+
+      if (!blog) {
+        throw new NotFoundError("Blog not found");
+      }
+      if (!isOwnerOr(blog.author, req.user, "blogs:edit:any")) {
+        throw new ForbiddenError("Not authorized");
+      }
+
+      const image = blog.gallery.id(req.params.imageId);
+      if (!image) {
+        throw new NotFoundError("Image not found");
+      }
+
+      if (alt !== undefined) image.alt = alt;
+      if (caption !== undefined) image.caption = caption;
+      await blog.save();
+      res.json(image);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Remove a gallery image
+router.delete("/:id/gallery/:imageId", auth, async (req, res, next) => {
   try {
-    const { title, description } = req.body;
     const blog = await Blog.findById(req.params.id);
 
     if (!blog) {
-      return res.status(404).json({ message: "Blog not found" });
+      throw new NotFoundError("Blog not found");
     }
-
-    // Check if user is author or admin
-    if (
-      blog.author.toString() !== req.user._id.toString() &&
-      req.user.role !== "admin"
-    ) {
-      return res.status(403).json({ message: "Not authorized" });
+    if (!isOwnerOr(blog.author, req.user, "blogs:edit:any")) {
+      throw new ForbiddenError("Not authorized");
     }
 
-    blog.title = title || blog.title;
-    blog.description = description || blog.description;
+    const image = blog.gallery.id(req.params.imageId);
+    if (!image) {
+      throw new NotFoundError("Image not found");
+    }
 
+    blog.gallery.pull(image._id);
     await blog.save();
-
-    const updatedBlog = await blog.populate("author", "name");
-    res.json(updatedBlog);
+    await deleteAsset(image.asset);
+    res.json({ message: "Image removed successfully" });
   } catch (error) {
-    res.status(500).json({ message: "Server error", error: error.message });
+    next(error);
   }
 });
 
 // Delete blog
-router.delete("/:id", auth, async (req, res) => {
+router.delete("/:id", auth, async (req, res, next) => {
   try {
     const blog = await Blog.findById(req.params.id);
 
     if (!blog) {
-      return res.status(404).json({ message: "Blog not found" });
+      throw new NotFoundError("Blog not found");
     }
 
-    // Check if user is author or admin
-    if (
-      blog.author.toString() !== req.user._id.toString() &&
-      req.user.role !== "admin"
-    ) {
-      return res.status(403).json({ message: "Not authorized" });
+    // Check if user is author or may delete any post
+    if (!isOwnerOr(blog.author, req.user, "blogs:delete:any")) {
+      throw new ForbiddenError("Not authorized");
     }
 
-    // Delete the blog using deleteOne
-    await Blog.deleteOne({ _id: blog._id });
+    // Move the blog to the trash; it is purged after the retention period
+    await blog.softDelete(req.user);
+    await recordAudit(req, {
+      action: "blog.delete",
+      targetType: "blog",
+      target: blog,
+      details: { byAuthor: blog.author.toString() === req.user._id.toString() },
+    });
     res.json({ message: "Blog deleted successfully" });
   } catch (error) {
-    res.status(500).json({ message: "Server error", error: error.message });
+    next(error);
   }
 });
 
-// Like/Unlike blog
-router.post("/:id/like", auth, async (req, res) => {
+// List a blog's revision history (author or editors)
+router.get("/:id/revisions", auth, async (req, res, next) => {
   try {
     const blog = await Blog.findById(req.params.id);
 
     if (!blog) {
-      return res.status(404).json({ message: "Blog not found" });
+      throw new NotFoundError("Blog not found");
+    }
+    if (!isOwnerOr(blog.author, req.user, "blogs:edit:any")) {
+      throw new ForbiddenError("Not authorized");
+    }
+
+    const revisions = await BlogRevision.find({ blog: blog._id })
+      .select("-description")
+      .sort({ revision: -1 });
+    res.json(revisions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Diff two revisions (?from=&to= revision numbers; to defaults to latest)
+router.get(
+  "/:id/revisions/diff",
+  auth,
+  validate({
+    query: {
+      from: { type: "integer", required: true, min: 1 },
+      to: { type: "integer", min: 1 },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const blog = await Blog.findById(req.params.id);
+
+      if (!blog) {
+        throw new NotFoundError("Blog not found");
+      }
+      if (!isOwnerOr(blog.author, req.user, "blogs:edit:any")) {
+        throw new ForbiddenError("Not authorized");
+      }
+
+      const { from, to } = req.query;
+      const fromRevision = await BlogRevision.findOne({
+        blog: blog._id,
+        revision: from,
+      });
+      const toRevision = to
+        ? await BlogRevision.findOne({ blog: blog._id, revision: to })
+        : await BlogRevision.findOne({ blog: blog._id }).sort({ revision: -1 });
+
+      if (!fromRevision || !toRevision) {
+        throw new NotFoundError("Revision not found");
+      }
+
+      res.json(diffRevisions(fromRevision, toRevision));
+    } catch (error) {
+      next(error);
     }
+  }
+);
+
+// Get a single revision
+router.get(
+  "/:id/revisions/:revision",
+  auth,
+  validate(revisionParams),
+  async (req, res, next) => {
+    try {
+      const blog = await Blog.findById(req.params.id);
+
+      if (!blog) {
+        throw new NotFoundError("Blog not found");
+      }
+      if (!isOwnerOr(blog.author, req.user, "blogs:edit:any")) {
+        throw new ForbiddenError("Not authorized");
+      }
+
+      const revision = await BlogRevision.findOne({
+        blog: blog._id,
+        revision: req.params.revision,
+      });
+      if (!revision) {
+        throw new NotFoundError("Revision not found");
+      }
+
+      res.json(revision);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
 
-    const likeIndex = blog.likes.indexOf(req.user._id);
+// Restore a blog's content from an earlier revision
+router.post(
+  "/:id/revisions/:revision/restore",
+  auth,
+  validate(revisionParams),
+  async (req, res, next) => {
+    try {
+      const blog = await Blog.findById(req.params.id);
 
-    if (likeIndex > -1) {
-      // Unlike
-      blog.likes.splice(likeIndex, 1);
-    } else {
-      // Like
-      blog.likes.push(req.user._id);
+      if (!blog) {
+        throw new NotFoundError("Blog not found");
+      }
+      if (!isOwnerOr(blog.author, req.user, "blogs:edit:any")) {
+        throw new ForbiddenError("Not authorized");
+      }
+
+      const revision = await BlogRevision.findOne({
+        blog: blog._id,
+        revision: req.params.revision,
+      });
+      if (!revision) {
+        throw new NotFoundError("Revision not found");
+      }
+
+      const before = snapshotOf(blog);
+      blog.title = revision.title;
+      blog.description = revision.description;
+      blog.tags = revision.tags;
+
+      const saved = await saveWithRevision(blog, before, {
+        editor: req.user,
+        source: "restore",
+        restoredFrom: revision.revision,
+      });
+      if (!saved) {
+        throw new BadRequestError("Blog already matches this revision");
+      }
+
+      res.json(await blog.populate("author", "name"));
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
+// Publish a draft or scheduled post immediately
+router.post("/:id/publish", auth, async (req, res, next) => {
+  try {
+    const blog = await Blog.findById(req.params.id);
+
+    if (!blog) {
+      throw new NotFoundError("Blog not found");
+    }
+    if (!isOwnerOr(blog.author, req.user, "blogs:edit:any")) {
+      throw new ForbiddenError("Not authorized");
+    }
+    if (blog.status === "published") {
+      throw new BadRequestError("Blog is already published");
+    }
+
+    blog.status = "published";
+    blog.publishAt = null;
+    blog.publishedAt = new Date();
     await blog.save();
-    res.json({ likes: blog.likes, likesCount: blog.likesCount });
+
+    res.json(await blog.populate("author", "name"));
   } catch (error) {
-    res.status(500).json({ message: "Server error", error: error.message });
+    next(error);
   }
 });
 
-// Add comment
-router.post("/:id/comment", auth, async (req, res) => {
-  try {
-    const { content } = req.body;
+// Schedule a post to be published at publishAt
+router.post(
+  "/:id/schedule",
+  auth,
+  validate({ body: { publishAt: { type: "date", required: true } } }),
+  async (req, res, next) => {
+    try {
+      const blog = await Blog.findById(req.params.id);
+
+      if (!blog) {
+        throw new NotFoundError("Blog not found");
+      }
+      if (!isOwnerOr(blog.author, req.user, "blogs:edit:any")) {
+        throw new ForbiddenError("Not authorized");
+      }
+
+      const lifecycle = resolveLifecycle("scheduled", req.body.publishAt);
+      if (lifecycle.error) {
+        throw new ValidationError(lifecycle.error);
+      }
+
+      blog.status = lifecycle.status;
+      blog.publishAt = lifecycle.publishAt;
+      blog.publishedAt = null;
+      await blog.save();
 
-    if (!content) {
-      return res.status(400).json({ message: "Comment content is required" });
+      res.json(await blog.populate("author", "name"));
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
+// Unpublish a post (or cancel its schedule), moving it back to draft
+router.post("/:id/unpublish", auth, async (req, res, next) => {
+  try {
     const blog = await Blog.findById(req.params.id);
 
     if (!blog) {
-      return res.status(404).json({ message: "Blog not found" });
+      throw new NotFoundError("Blog not found");
+    }
+    if (!isOwnerOr(blog.author, req.user, "blogs:edit:any")) {
+      throw new ForbiddenError("Not authorized");
+    }
+    if (blog.status === "draft") {
+      throw new BadRequestError("Blog is already a draft");
     }
 
-    blog.comments.push({
-      user: req.user._id,
-      content,
-      userName: req.user.name,
-    });
-
+    blog.status = "draft";
+    blog.publishAt = null;
+    blog.publishedAt = null;
     await blog.save();
 
-    const updatedBlog = await blog.populate("comments.user", "name");
-    res.json(updatedBlog.comments);
+    res.json(await blog.populate("author", "name"));
   } catch (error) {
-    res.status(500).json({ message: "Server error", error: error.message });
+    next(error);
   }
 });
 
+// Like/Unlike blog
+router.post("/:id/like", auth, rateLimit("like"), async (req, res, next) => {
+  try {
+    const blog = await Blog.findById(req.params.id);
+
+    if (!blog || !canView(blog, req.user)) {
+      throw new NotFoundError("Blog not found");
+    }
+
+    const { liked, likesCount } = await toggleLike(req.user, blog);
+    if (liked) {
+      await notify({
+        recipient: blog.author,
+        actor: req.user,
+        type: "like",
+        blog,
+      });
+    }
+    res.json({ likes: await likerIds(blog), likesCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Report a blog to the moderators
+router.post(
+  "/:id/report",
+  auth,
+  validate(reportSchema),
+  async (req, res, next) => {
+    try {
+      const blog = await Blog.findById(req.params.id);
+
+      if (!blog || !canView(blog, req.user)) {
+        throw new NotFoundError("Blog not found");
+      }
+
+      const { reason, details } = req.body;
+      const result = await fileReport({
+        blog,
+        reporter: req.user,
+        reason,
+        details,
+      });
+      if (result.error) throw errorForStatus(result.status, result.error);
+
+      res
+        .status(201)
+        .json({ message: "Report submitted", report: result.report });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get a paginated comment thread (?parent= to page the replies of a comment)
+router.get(
+  "/:id/comments",
+  optionalAuth,
+  validate({ query: { parent: { type: "objectId" }, ...PAGE_QUERY } }),
+  async (req, res, next) => {
+    try {
+      const options = parseThreadOptions(req.query);
+
+      const blog = await Blog.findById(req.params.id);
+
+      if (!blog || !canView(blog, req.user)) {
+        throw new NotFoundError("Blog not found");
+      }
+
+      const parentId = req.query.parent || null;
+      if (parentId && !(await findActiveComment(blog, parentId))) {
+        throw new NotFoundError("Comment not found");
+      }
+
+      res.json(await loadThread(blog._id, parentId, options));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Add comment (or a reply when parentId is given)
+router.post(
+  "/:id/comment",
+  auth,
+  requireVerified,
+  rateLimit("comment"),
+  validate({
+    body: {
+      content: COMMENT_CONTENT,
+      parentId: { type: "objectId", nullable: true },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { parentId } = req.body;
+      const content = checkCommentContent(req.body.content);
+
+      const blog = await Blog.findById(req.params.id);
+
+      if (!blog || !canView(blog, req.user)) {
+        throw new NotFoundError("Blog not found");
+      }
+
+      let parent = null;
+      if (parentId) {
+        parent = await findActiveComment(blog, parentId);
+        if (!parent) {
+          throw new NotFoundError("Parent comment not found");
+        }
+        if (parent.depth >= MAX_COMMENT_DEPTH) {
+          throw new BadRequestError("Replies cannot be nested any deeper");
+        }
+      }
+
+      const comment = await createComment(blog, req.user, content, parent);
+
+      // Tell the post's author, and for a reply also the parent's author
+      if (parent) {
+        await notify({
+          recipient: parent.user,
+          actor: req.user,
+          type: "reply",
+          blog,
+          comment,
+        });
+      }
+      if (!parent || parent.user.toString() !== blog.author.toString()) {
+        await notify({
+          recipient: blog.author,
+          actor: req.user,
+          type: "comment",
+          blog,
+          comment,
+        });
+      }
+
+      res.json(await listComments(blog._id));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // Delete comment
-router.delete("/:blogId/comment/:commentId", auth, async (req, res) => {
+router.delete("/:blogId/comment/:commentId", auth, async (req, res, next) => {
   try {
     const blog = await Blog.findById(req.params.blogId);
 
     if (!blog) {
-      console.error("Delete comment error: Blog not found", req.params.blogId);
-      return res.status(404).json({ message: "Blog not found" });
+      throw new NotFoundError("Blog not found");
     }
 
-    const comment = blog.comments.id(req.params.commentId);
+    const comment = await findActiveComment(blog, req.params.commentId);
 
     if (!comment) {
-      console.error(
-        "Delete comment error: Comment not found",
-        req.params.commentId
-      );
-      return res.status(404).json({ message: "Comment not found" });
-    }
-
-    // Check if user is comment author or admin
-    if (
-      comment.user.toString() !== req.user._id.toString() &&
-      req.user.role !== "admin"
-    ) {
-      console.error(
-        "Delete comment error: Not authorized",
-        req.user._id,
-        comment.user
-      );
-      return res.status(403).json({ message: "Not authorized" });
+      throw new NotFoundError("Comment not found");
     }
 
-    // Remove the comment using pull
-    blog.comments.pull(comment._id);
-    await blog.save();
+    // Check if user is comment author or may delete any comment
+    if (!isOwnerOr(comment.user, req.user, "comments:delete:any")) {
+      throw new ForbiddenError("Not authorized");
+    }
+
+    // Soft-delete the comment and its replies (restorable from the trash)
+    const ids = await softDeleteComments(comment, req.user);
+    await recordAudit(req, {
+      action: "comment.delete",
+      targetType: "comment",
+      target: comment,
+      label: comment.content.slice(0, 100),
+      details: {
+        blog: blog._id,
+        replies: ids.length - 1,
+        byAuthor: comment.user.toString() === req.user._id.toString(),
+      },
+    });
 
     res.json({ message: "Comment deleted successfully" });
   } catch (error) {
-    console.error("Delete comment error:", error);
-    res.status(500).json({ message: "Server error", error: error.message });
+    next(error);
   }
 });
 
+// Edit comment
+router.put(
+  "/:blogId/comment/:commentId",
+  auth,
+  validate({ body: { content: COMMENT_CONTENT } }),
+  async (req, res, next) => {
+    try {
+      const content = checkCommentContent(req.body.content);
+
+      const blog = await Blog.findById(req.params.blogId);
+
+      if (!blog) {
+        throw new NotFoundError("Blog not found");
+      }
+
+      const comment = await findActiveComment(blog, req.params.commentId);
+
+      if (!comment) {
+        throw new NotFoundError("Comment not found");
+      }
+
+      // Check if user is comment author or may edit any comment
+      if (!isOwnerOr(comment.user, req.user, "comments:edit:any")) {
+        throw new ForbiddenError("Not authorized");
+      }
+
+      comment.content = content;
+      comment.edited = true;
+      comment.editedAt = new Date();
+      await comment.save();
+
+      await comment.populate("user", "name");
+      const [updated] = await withLikes([comment]);
+      res.json(updated);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Like/Unlike comment
+router.post(
+  "/:blogId/comment/:commentId/like",
+  auth,
+  rateLimit("like"),
+  async (req, res, next) => {
+    try {
+      const blog = await Blog.findById(req.params.blogId);
+
+      if (!blog || !canView(blog, req.user)) {
+        throw new NotFoundError("Blog not found");
+      }
+
+      const comment = await findActiveComment(blog, req.params.commentId);
+
+      if (!comment) {
+        throw new NotFoundError("Comment not found");
+      }
+
+      const { liked, likesCount } = await toggleLike(req.user, blog, comment);
+      if (liked) {
+        await notify({
+          recipient: comment.user,
+          actor: req.user,
+          type: "comment-like",
+          blog,
+          comment,
+        });
+      }
+      res.json({ likes: await likerIds(blog, comment), likesCount });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Report a comment to the moderators
+router.post(
+  "/:blogId/comment/:commentId/report",
+  auth,
+  validate(reportSchema),
+  async (req, res, next) => {
+    try {
+      const blog = await Blog.findById(req.params.blogId);
+
+      if (!blog || !canView(blog, req.user)) {
+        throw new NotFoundError("Blog not found");
+      }
+
+      const comment = await findActiveComment(blog, req.params.commentId);
+
+      if (!comment) {
+        throw new NotFoundError("Comment not found");
+      }
+
+      const { reason, details } = req.body;
+      const result = await fileReport({
+        blog,
+        comment,
+        reporter: req.user,
+        reason,
+        details,
+      });
+      if (result.error) throw errorForStatus(result.status, result.error);
+
+      res
+        .status(201)
+        .json({ message: "Report submitted", report: result.report });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 module.exports = router;
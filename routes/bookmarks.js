@@ -0,0 +1,98 @@
+const express = require("express");
+const Bookmark = require("../models/Bookmark");
+const { auth } = require("../middleware/auth");
+const { validate, objectIdParam } = require("../middleware/validate");
+const { PAGE_QUERY, parsePageOptions } = require("../utils/pagination");
+const { publishedFilter } = require("../utils/blogQuery");
+const { ENTRY_FIELDS, findSavableBlog } = require("../utils/readingLists");
+const { NotFoundError } = require("../utils/errors");
+const router = express.Router();
+
+router.param("blogId", objectIdParam);
+
+// The current user's bookmarks, most recently saved first (?page, ?limit)
+router.get(
+  "/",
+  auth,
+  validate({ query: PAGE_QUERY }),
+  async (req, res, next) => {
+    try {
+      const options = parsePageOptions(req.query);
+
+      const filter = { user: req.user._id };
+      const [bookmarks, total] = await Promise.all([
+        Bookmark.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((options.page - 1) * options.limit)
+          .limit(options.limit)
+          .populate({
+            path: "blog",
+            match: publishedFilter,
+            select: ENTRY_FIELDS,
+            populate: { path: "category", select: "name slug" },
+          }),
+        Bookmark.countDocuments(filter),
+      ]);
+
+      res.json({
+        // Posts that were unpublished or hidden since drop out
+        bookmarks: bookmarks
+          .filter((bookmark) => bookmark.blog)
+          .map((bookmark) => ({
+            blog: bookmark.blog,
+            savedAt: bookmark.createdAt,
+          })),
+        pagination: {
+          page: options.page,
+          limit: options.limit,
+          total,
+          totalPages: Math.ceil(total / options.limit),
+          hasMore: options.page * options.limit < total,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Bookmark a blog (repeating it is harmless)
+router.put("/:blogId", auth, async (req, res, next) => {
+  try {
+    const blog = await findSavableBlog(req.params.blogId);
+    if (!blog) throw new NotFoundError("Blog not found");
+
+    const bookmark = { user: req.user._id, blog: blog._id };
+    try {
+      await Bookmark.updateOne(
+        bookmark,
+        { $setOnInsert: bookmark },
+        { upsert: true }
+      );
+    } catch (error) {
+      // A concurrent request created it first
+      if (error.code !== 11000) throw error;
+    }
+    res.json({ message: "Blog bookmarked", bookmarked: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove a bookmark
+router.delete("/:blogId", auth, async (req, res, next) => {
+  try {
+    const result = await Bookmark.deleteOne({
+      user: req.user._id,
+      blog: req.params.blogId,
+    });
+    if (!result.deletedCount) {
+      throw new NotFoundError("Bookmark not found");
+    }
+    res.json({ message: "Bookmark removed", bookmarked: false });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
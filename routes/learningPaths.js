@@ -0,0 +1,361 @@
+const express = require("express");
+const LearningPath = require("../models/LearningPath");
+const PathProgress = require("../models/PathProgress");
+const Blog = require("../models/Blog");
+const { auth, optionalAuth, requirePermission } = require("../middleware/auth");
+const { validate, objectIdParam } = require("../middleware/validate");
+const { hasPermission } = require("../utils/permissions");
+const { publishedFilter } = require("../utils/blogQuery");
+const { ValidationError, NotFoundError } = require("../utils/errors");
+const router = express.Router();
+
+router.param("id", objectIdParam);
+router.param("blogId", objectIdParam);
+
+const PATH_FIELDS = {
+  title: { type: "string", trim: true, minLength: 1, maxLength: 200 },
+  description: { type: "string", maxLength: 2000 },
+  blogs: { type: "array", items: { type: "objectId" } },
+  published: { type: "boolean" },
+};
+
+const canManage = (user) => hasPermission(user, "paths:manage");
+
+// Check an ordered list of blog ids. Returns { blogs } or { error }.
+const resolveBlogIds = async (ids) => {
+  const unique = [...new Set(ids.map(String))];
+  if (unique.length !== ids.length) {
+    return { error: "A blog can only appear once in a path" };
+  }
+  const found = await Blog.countDocuments({ _id: { $in: unique } });
+  if (found !== unique.length) return { error: "Blog not found" };
+  return { blogs: unique };
+};
+
+// Progress summary for a path. `blogIds` is the ordered list of visible posts.
+const summarize = (blogIds, progress) => {
+  const completed = new Set(
+    progress ? progress.completed.map((c) => c.blog.toString()) : []
+  );
+  const done = blogIds.filter((id) => completed.has(id.toString()));
+  const next = blogIds.find((id) => !completed.has(id.toString())) || null;
+  return {
+    completed: done,
+    completedCount: done.length,
+    total: blogIds.length,
+    percent: blogIds.length
+      ? Math.round((done.length / blogIds.length) * 100)
+      : 0,
+    nextBlog: next,
+    lastBlog: progress ? progress.lastBlog : null,
+    isComplete: blogIds.length > 0 && done.length === blogIds.length,
+  };
+};
+
+// Learning paths are visible once published; unpublished ones only to staff
+const findVisiblePath = async (id, user) => {
+  const path = await LearningPath.findById(id);
+  if (!path || (!path.published && !canManage(user))) return null;
+  return path;
+};
+
+// Ids of the path's posts that are currently published, in path order
+const visibleBlogIds = async (path) => {
+  const published = await Blog.find({
+    _id: { $in: path.blogs },
+    ...publishedFilter,
+  }).select("_id");
+  const ids = new Set(published.map((b) => b._id.toString()));
+  return path.blogs.filter((id) => ids.has(id.toString()));
+};
+
+// List learning paths
+router.get("/", optionalAuth, async (req, res, next) => {
+  try {
+    const query = canManage(req.user) ? {} : { published: true };
+    const paths = await LearningPath.find(query)
+      .populate("createdBy", "name")
+      .sort({ createdAt: -1 });
+    res.json(paths);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The current user's progress across every path they have started
+router.get("/me/progress", auth, async (req, res, next) => {
+  try {
+    const progressList = await PathProgress.find({ user: req.user._id })
+      .populate("path")
+      .sort({ updatedAt: -1 });
+
+    const results = [];
+    for (const progress of progressList) {
+      if (!progress.path || !progress.path.published) continue;
+      const blogIds = await visibleBlogIds(progress.path);
+      results.push({
+        path: {
+          _id: progress.path._id,
+          title: progress.path.title,
+          description: progress.path.description,
+        },
+        ...summarize(blogIds, progress),
+        updatedAt: progress.updatedAt,
+      });
+    }
+    res.json(results);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get a learning path with its posts in order (and progress when signed in)
+router.get("/:id", optionalAuth, async (req, res, next) => {
+  try {
+    const path = await findVisiblePath(req.params.id, req.user);
+    if (!path) {
+      throw new NotFoundError("Learning path not found");
+    }
+
+    await path.populate([
+      { path: "createdBy", select: "name" },
+      {
+        path: "blogs",
+        match: publishedFilter,
+        select: "title image authorName tags category createdAt",
+      },
+    ]);
+
+    const response = path.toJSON();
+    if (req.user) {
+      const progress = await PathProgress.findOne({
+        user: req.user._id,
+        path: path._id,
+      });
+      response.progress = summarize(
+        path.blogs.map((b) => b._id),
+        progress
+      );
+    }
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create learning path
+router.post(
+  "/",
+  requirePermission("paths:manage"),
+  validate({
+    body: {
+      ...PATH_FIELDS,
+      title: { ...PATH_FIELDS.title, required: true },
+      blogs: { ...PATH_FIELDS.blogs, default: [] },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { title, description, blogs, published } = req.body;
+
+      const resolved = await resolveBlogIds(blogs);
+      if (resolved.error) {
+        throw new ValidationError(resolved.error);
+      }
+
+      const path = await LearningPath.create({
+        title,
+        description,
+        blogs: resolved.blogs,
+        published: !!published,
+        createdBy: req.user._id,
+      });
+      res.status(201).json(path);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Update learning path (send the full blogs array to reorder)
+router.put(
+  "/:id",
+  requirePermission("paths:manage"),
+  validate({ body: PATH_FIELDS }),
+  async (req, res, next) => {
+    try {
+      const { title, description, blogs, published } = req.body;
+      const path = await findVisiblePath(req.params.id, req.user);
+      if (!path) {
+        throw new NotFoundError("Learning path not found");
+      }
+
+      if (blogs !== undefined) {
+        const resolved = await resolveBlogIds(blogs);
+        if (resolved.error) {
+          throw new ValidationError(resolved.error);
+        }
+        path.blogs = resolved.blogs;
+      }
+      if (title) path.title = title;
+      if (description !== undefined) path.description = description;
+      if (published !== undefined) path.published = published;
+
+      await path.save();
+      res.json(path);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Add a blog to a path (at `position`, default the end)
+router.post(
+  "/:id/blogs",
+  requirePermission("paths:manage"),
+  validate({
+    body: {
+      blogId: { type: "objectId", required: true },
+      position: { type: "integer", min: 0 },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { blogId, position } = req.body;
+      const path = await findVisiblePath(req.params.id, req.user);
+      if (!path) {
+        throw new NotFoundError("Learning path not found");
+      }
+
+      const ids = path.blogs.map(String);
+      const index =
+        position === undefined ? ids.length : Math.min(position, ids.length);
+      ids.splice(index, 0, blogId);
+
+      const resolved = await resolveBlogIds(ids);
+      if (resolved.error) {
+        throw new ValidationError(resolved.error);
+      }
+
+      path.blogs = resolved.blogs;
+      await path.save();
+      res.json(path);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Remove a blog from a path
+router.delete(
+  "/:id/blogs/:blogId",
+  requirePermission("paths:manage"),
+  async (req, res, next) => {
+    try {
+      const path = await findVisiblePath(req.params.id, req.user);
+      if (!path) {
+        throw new NotFoundError("Learning path not found");
+      }
+
+      path.blogs.pull(req.params.blogId);
+      await path.save();
+      res.json(path);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Delete learning path and everyone's progress on it
+router.delete(
+  "/:id",
+  requirePermission("paths:manage"),
+  async (req, res, next) => {
+    try {
+      const path = await findVisiblePath(req.params.id, req.user);
+      if (!path) {
+        throw new NotFoundError("Learning path not found");
+      }
+
+      await PathProgress.deleteMany({ path: path._id });
+      await LearningPath.deleteOne({ _id: path._id });
+      res.json({ message: "Learning path deleted successfully" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get the current user's progress on a path
+router.get("/:id/progress", auth, async (req, res, next) => {
+  try {
+    const path = await findVisiblePath(req.params.id, req.user);
+    if (!path) {
+      throw new NotFoundError("Learning path not found");
+    }
+
+    const progress = await PathProgress.findOne({
+      user: req.user._id,
+      path: path._id,
+    });
+    res.json(summarize(await visibleBlogIds(path), progress));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark a post in the path as complete
+router.post("/:id/blogs/:blogId/complete", auth, async (req, res, next) => {
+  try {
+    const path = await findVisiblePath(req.params.id, req.user);
+    if (!path) {
+      throw new NotFoundError("Learning path not found");
+    }
+    if (!path.blogs.some((id) => id.toString() === req.params.blogId)) {
+      throw new NotFoundError("Blog is not in this path");
+    }
+
+    const progress =
+      (await PathProgress.findOne({ user: req.user._id, path: path._id })) ||
+      new PathProgress({ user: req.user._id, path: path._id });
+
+    if (
+      !progress.completed.some((c) => c.blog.toString() === req.params.blogId)
+    ) {
+      progress.completed.push({ blog: req.params.blogId });
+    }
+    progress.lastBlog = req.params.blogId;
+    await progress.save();
+
+    res.json(summarize(await visibleBlogIds(path), progress));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Unmark a completed post
+router.delete("/:id/blogs/:blogId/complete", auth, async (req, res, next) => {
+  try {
+    const path = await findVisiblePath(req.params.id, req.user);
+    if (!path) {
+      throw new NotFoundError("Learning path not found");
+    }
+
+    const progress = await PathProgress.findOne({
+      user: req.user._id,
+      path: path._id,
+    });
+    if (progress) {
+      progress.completed = progress.completed.filter(
+        (c) => c.blog.toString() !== req.params.blogId
+      );
+      await progress.save();
+    }
+
+    res.json(summarize(await visibleBlogIds(path), progress));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,165 @@
+const express = require("express");
+const Notification = require("../models/Notification");
+const { auth } = require("../middleware/auth");
+const { validate, objectIdParam } = require("../middleware/validate");
+const { PAGE_QUERY, parsePageOptions } = require("../utils/pagination");
+const {
+  PREFERENCE_KEYS,
+  unreadCount,
+  publishUnreadCount,
+  openStream,
+} = require("../utils/notifications");
+const { ValidationError, NotFoundError } = require("../utils/errors");
+const router = express.Router();
+
+router.param("id", objectIdParam);
+
+// Every preference is optional; unknown keys are rejected by the route
+const preferencesSchema = {
+  body: Object.fromEntries(
+    PREFERENCE_KEYS.map((key) => [key, { type: "boolean" }])
+  ),
+};
+
+// List the current user's notifications, newest first (?unread=true, ?page,
+// ?limit)
+router.get(
+  "/",
+  auth,
+  validate({
+    query: { unread: { type: "boolean", default: false }, ...PAGE_QUERY },
+  }),
+  async (req, res, next) => {
+    try {
+      const options = parsePageOptions(req.query);
+
+      const filter = { recipient: req.user._id };
+      if (req.query.unread) filter.readAt = null;
+
+      const [notifications, total, unread] = await Promise.all([
+        Notification.find(filter)
+          .sort({ createdAt: -1 })
+          .skip((options.page - 1) * options.limit)
+          .limit(options.limit),
+        Notification.countDocuments(filter),
+        unreadCount(req.user._id),
+      ]);
+
+      res.json({
+        notifications,
+        unreadCount: unread,
+        pagination: {
+          page: options.page,
+          limit: options.limit,
+          total,
+          totalPages: Math.ceil(total / options.limit),
+          hasMore: options.page * options.limit < total,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Number of unread notifications
+router.get("/unread-count", auth, async (req, res, next) => {
+  try {
+    res.json({ unreadCount: await unreadCount(req.user._id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Live updates as Server-Sent Events: "notification" for each new
+// notification and "unread-count" whenever the count changes
+router.get("/stream", auth, async (req, res, next) => {
+  try {
+    await openStream(res, {
+      userId: req.user._id,
+      sessionId: req.session._id,
+      expiresAt: req.tokenExpiresAt,
+    });
+  } catch (error) {
+    if (res.headersSent) return res.end();
+    next(error);
+  }
+});
+
+// Get notification preferences
+router.get("/preferences", auth, (req, res) => {
+  res.json(req.user.notificationPreferences);
+});
+
+// Update notification preferences (send only the keys to change)
+router.put(
+  "/preferences",
+  auth,
+  validate(preferencesSchema),
+  async (req, res, next) => {
+    try {
+      const unknown = Object.keys(req.body).filter(
+        (key) => !PREFERENCE_KEYS.includes(key)
+      );
+      if (unknown.length) {
+        throw new ValidationError(
+          `Preferences must be one of: ${PREFERENCE_KEYS.join(", ")}`,
+          unknown.map((field) => ({
+            location: "body",
+            field,
+            message: `${field} is not a notification preference`,
+          }))
+        );
+      }
+
+      for (const [key, value] of Object.entries(req.body)) {
+        req.user.notificationPreferences[key] = value;
+      }
+      await req.user.save();
+      res.json(req.user.notificationPreferences);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Mark every notification as read
+router.put("/read-all", auth, async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+    await publishUnreadCount(req.user._id);
+    res.json({
+      message: "All notifications marked as read",
+      updated: result.modifiedCount,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mark one notification as read
+router.put("/:id/read", auth, async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user._id,
+    });
+    if (!notification) {
+      throw new NotFoundError("Notification not found");
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+      await publishUnreadCount(req.user._id);
+    }
+    res.json(notification);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,235 @@
+const express = require("express");
+const ReadingList = require("../models/ReadingList");
+const { auth } = require("../middleware/auth");
+const { validate, objectIdParam } = require("../middleware/validate");
+const {
+  MAX_LIST_ITEMS,
+  VISIBILITIES,
+  generateShareId,
+  findSavableBlog,
+  reorderItems,
+  withEntries,
+} = require("../utils/readingLists");
+const {
+  ValidationError,
+  BadRequestError,
+  ConflictError,
+  NotFoundError,
+} = require("../utils/errors");
+const router = express.Router();
+
+router.param("id", objectIdParam);
+router.param("blogId", objectIdParam);
+
+const DETAILS = {
+  name: { type: "string", trim: true, minLength: 1, maxLength: 100 },
+  description: { type: "string", maxLength: 500 },
+  visibility: { type: "string", enum: VISIBILITIES },
+};
+
+// One of the current user's lists, or null
+const findOwnList = (id, user) =>
+  ReadingList.findOne({ _id: id, owner: user._id });
+
+// Apply name/description/visibility from a validated request body
+const applyDetails = (list, { name, description, visibility }) => {
+  if (name !== undefined) list.name = name;
+  if (description !== undefined) list.description = description;
+  if (visibility !== undefined) list.visibility = visibility;
+  // Making a list private revokes its link; sharing again issues a new one
+  if (list.visibility === "public" && !list.shareId) {
+    list.shareId = generateShareId();
+  } else if (list.visibility === "private") {
+    list.shareId = null;
+  }
+};
+
+// The current user's reading lists, most recently changed first
+router.get("/", auth, async (req, res, next) => {
+  try {
+    const lists = await ReadingList.find({ owner: req.user._id }).sort({
+      updatedAt: -1,
+    });
+    res.json(lists);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// A public list opened through its share link
+router.get("/shared/:shareId", async (req, res, next) => {
+  try {
+    const list = await ReadingList.findOne({
+      shareId: String(req.params.shareId),
+      visibility: "public",
+    }).populate("owner", "name avatar");
+    if (!list) {
+      throw new NotFoundError("Reading list not found");
+    }
+    res.json(await withEntries(list));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a reading list
+router.post(
+  "/",
+  auth,
+  validate({ body: { ...DETAILS, name: { ...DETAILS.name, required: true } } }),
+  async (req, res, next) => {
+    try {
+      const list = new ReadingList({ owner: req.user._id });
+      applyDetails(list, req.body);
+
+      await list.save();
+      res.status(201).json(list);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get one of your lists with its entries in order
+router.get("/:id", auth, async (req, res, next) => {
+  try {
+    const list = await findOwnList(req.params.id, req.user);
+    if (!list) {
+      throw new NotFoundError("Reading list not found");
+    }
+    res.json(await withEntries(list));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a list's name, description or visibility
+router.put(
+  "/:id",
+  auth,
+  validate({ body: DETAILS }),
+  async (req, res, next) => {
+    try {
+      const list = await findOwnList(req.params.id, req.user);
+      if (!list) {
+        throw new NotFoundError("Reading list not found");
+      }
+
+      applyDetails(list, req.body);
+      await list.save();
+      res.json(list);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Delete a list
+router.delete("/:id", auth, async (req, res, next) => {
+  try {
+    const list = await findOwnList(req.params.id, req.user);
+    if (!list) {
+      throw new NotFoundError("Reading list not found");
+    }
+
+    await ReadingList.deleteOne({ _id: list._id });
+    res.json({ message: "Reading list deleted successfully" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Add a blog to a list (at `position`, default the end)
+router.post(
+  "/:id/items",
+  auth,
+  validate({
+    body: {
+      blogId: { type: "objectId", required: true },
+      position: { type: "integer", min: 0 },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const { blogId, position } = req.body;
+      const list = await findOwnList(req.params.id, req.user);
+      if (!list) {
+        throw new NotFoundError("Reading list not found");
+      }
+
+      const blog = await findSavableBlog(blogId);
+      if (!blog) throw new NotFoundError("Blog not found");
+      if (list.items.some((item) => item.blog.equals(blog._id))) {
+        throw new ConflictError("Blog is already in the list");
+      }
+      if (list.items.length >= MAX_LIST_ITEMS) {
+        throw new BadRequestError(
+          `A reading list can hold at most ${MAX_LIST_ITEMS} blogs`
+        );
+      }
+
+      const index =
+        position === undefined
+          ? list.items.length
+          : Math.min(position, list.items.length);
+      list.items.splice(index, 0, { blog: blog._id });
+      await list.save();
+      res.json(await withEntries(list));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Reorder a list (send every entry's blog id in the new order)
+router.put(
+  "/:id/items",
+  auth,
+  validate({
+    body: {
+      blogs: { type: "array", required: true, items: { type: "objectId" } },
+    },
+  }),
+  async (req, res, next) => {
+    try {
+      const list = await findOwnList(req.params.id, req.user);
+      if (!list) {
+        throw new NotFoundError("Reading list not found");
+      }
+
+      const { items, error } = reorderItems(list.items, req.body.blogs);
+      if (error) throw new ValidationError(error);
+
+      list.items = items.map((item) => item.toObject());
+      await list.save();
+      res.json(await withEntries(list));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Remove a blog from a list
+router.delete("/:id/items/:blogId", auth, async (req, res, next) => {
+  try {
+    const list = await findOwnList(req.params.id, req.user);
+    if (!list) {
+      throw new NotFoundError("Reading list not found");
+    }
+
+    const index = list.items.findIndex(
+      (item) => item.blog.toString() === req.params.blogId
+    );
+    if (index === -1) {
+      throw new NotFoundError("Blog is not in the list");
+    }
+
+    list.items.splice(index, 1);
+    await list.save();
+    res.json(await withEntries(list));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,207 @@
+const express = require("express");
+const Blog = require("../models/Blog");
+const User = require("../models/User");
+const Follow = require("../models/Follow");
+const { auth, optionalAuth } = require("../middleware/auth");
+const { validate, objectIdParam } = require("../middleware/validate");
+const { PAGE_QUERY, parsePageOptions } = require("../utils/pagination");
+const {
+  publishedFilter,
+  LIST_QUERY,
+  parseListOptions,
+  listBlogs,
+} = require("../utils/blogQuery");
+const {
+  ValidationError,
+  BadRequestError,
+  NotFoundError,
+} = require("../utils/errors");
+const router = express.Router();
+
+router.param("id", objectIdParam);
+
+// Fields of a user shown to everyone
+const PUBLIC_FIELDS = "name bio avatar createdAt";
+
+// Find a user for a public route; null when deleted
+const findPublicUser = (id) => User.findById(id).select(PUBLIC_FIELDS);
+
+// One page of the users on one side of a follow relation
+const listFollows = async (filter, side, { page, limit }) => {
+  const [follows, total] = await Promise.all([
+    Follow.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate(side, "name bio avatar"),
+    Follow.countDocuments(filter),
+  ]);
+
+  return {
+    // Deleted accounts populate as null
+    users: follows
+      .filter((follow) => follow[side])
+      .map((follow) => ({
+        ...follow[side].toJSON(),
+        followedAt: follow.createdAt,
+      })),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasMore: page * limit < total,
+    },
+  };
+};
+
+// Public author profile with post, like and follow counts
+router.get("/:id", optionalAuth, async (req, res, next) => {
+  try {
+    const user = await findPublicUser(req.params.id);
+    if (!user) throw new NotFoundError("User not found");
+
+    const [postStats, followersCount, followingCount, isFollowing] =
+      await Promise.all([
+        Blog.aggregate([
+          { $match: { ...publishedFilter, author: user._id } },
+          {
+            $group: {
+              _id: null,
+              postCount: { $sum: 1 },
+              totalLikes: { $sum: "$likesCount" },
+            },
+          },
+        ]),
+        Follow.countDocuments({ following: user._id }),
+        Follow.countDocuments({ follower: user._id }),
+        req.user
+          ? Follow.exists({ follower: req.user._id, following: user._id })
+          : null,
+      ]);
+
+    const { postCount = 0, totalLikes = 0 } = postStats[0] || {};
+    res.json({
+      ...user.toJSON(),
+      postCount,
+      totalLikes,
+      followersCount,
+      followingCount,
+      ...(req.user && { isFollowing: Boolean(isFollowing) }),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The author's published posts (same options as GET /api/blogs)
+router.get(
+  "/:id/blogs",
+  validate({ query: LIST_QUERY }),
+  async (req, res, next) => {
+    try {
+      const user = await findPublicUser(req.params.id);
+      if (!user) throw new NotFoundError("User not found");
+
+      const { options, error } = parseListOptions(req.query);
+      if (error) throw new ValidationError(error);
+
+      res.json(
+        await listBlogs(options, {
+          baseFilter: { ...publishedFilter, author: user._id },
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Users following this user, most recent first (?page, ?limit)
+router.get(
+  "/:id/followers",
+  validate({ query: PAGE_QUERY }),
+  async (req, res, next) => {
+    try {
+      const user = await findPublicUser(req.params.id);
+      if (!user) throw new NotFoundError("User not found");
+
+      const options = parsePageOptions(req.query);
+
+      res.json(await listFollows({ following: user._id }, "follower", options));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Users this user follows, most recent first (?page, ?limit)
+router.get(
+  "/:id/following",
+  validate({ query: PAGE_QUERY }),
+  async (req, res, next) => {
+    try {
+      const user = await findPublicUser(req.params.id);
+      if (!user) throw new NotFoundError("User not found");
+
+      const options = parsePageOptions(req.query);
+
+      res.json(await listFollows({ follower: user._id }, "following", options));
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Follow a user (repeating it is harmless)
+router.post("/:id/follow", auth, async (req, res, next) => {
+  try {
+    const user = await findPublicUser(req.params.id);
+    if (!user) throw new NotFoundError("User not found");
+    if (user._id.equals(req.user._id)) {
+      throw new BadRequestError("You cannot follow yourself");
+    }
+
+    const follow = { follower: req.user._id, following: user._id };
+    try {
+      await Follow.updateOne(
+        follow,
+        { $setOnInsert: follow },
+        { upsert: true }
+      );
+    } catch (error) {
+      // A concurrent request created it first
+      if (error.code !== 11000) throw error;
+    }
+
+    res.json({
+      message: `You are now following ${user.name}`,
+      following: true,
+      followersCount: await Follow.countDocuments({ following: user._id }),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Unfollow a user
+router.delete("/:id/follow", auth, async (req, res, next) => {
+  try {
+    await Follow.deleteOne({
+      follower: req.user._id,
+      following: req.params.id,
+    });
+
+    res.json({
+      message: "Unfollowed",
+      following: false,
+      followersCount: await Follow.countDocuments({
+        following: req.params.id,
+      }),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+// Create the first admin account, or promote an existing user to admin.
+//
+//   npm run create-admin -- --email admin@example.com --name "Site Admin"
+//
+// The password is prompted for (or read from stdin when not a terminal), so
+// it never has to live in an env var or shell history.
+const mongoose = require("mongoose");
+const readline = require("readline");
+require("dotenv").config();
+
+const User = require("../models/User");
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) args[argv[i].slice(2)] = argv[i + 1];
+  }
+  return args;
+};
+
+// Read a line without echoing it when attached to a terminal
+const promptHidden = (question) =>
+  new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      terminal: process.stdin.isTTY,
+    });
+    if (process.stdin.isTTY) {
+      rl._writeToOutput = (str) => {
+        if (str.includes(question)) rl.output.write(str);
+      };
+    }
+    rl.question(question, (answer) => {
+      rl.close();
+      if (process.stdin.isTTY) process.stdout.write("\n");
+      resolve(answer);
+    });
+  });
+
+const main = async () => {
+  const { email, name = "Admin" } = parseArgs(process.argv.slice(2));
+  if (!email) {
+    console.error(
+      "Usage: npm run create-admin -- --email <email> [--name <name>]"
+    );
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // A trashed account still holds its email
+  const existing = await User.findOne({
+    email: email.toLowerCase(),
+  }).setOptions({ withDeleted: true });
+  if (existing && existing.deletedAt) {
+    throw new Error(
+      `${existing.email} belongs to an account in the trash; restore or purge it first`
+    );
+  }
+  if (existing) {
+    existing.role = "admin";
+    await existing.save();
+    console.log(`Promoted existing user ${existing.email} to admin`);
+    return;
+  }
+
+  const password = await promptHidden("Password: ");
+  if (password.length < 6) {
+    throw new Error("Password must be at least 6 characters");
+  }
+  if (process.stdin.isTTY) {
+    const confirm = await promptHidden("Confirm password: ");
+    if (confirm !== password) throw new Error("Passwords do not match");
+  }
+
+  const admin = await User.create({
+    name,
+    email,
+    password,
+    role: "admin",
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+  });
+  console.log(`Created admin ${admin.email}`);
+};
+
+main()
+  .catch((error) => {
+    console.error("Create admin error:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
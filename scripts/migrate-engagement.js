@@ -0,0 +1,152 @@
+// Move likes and comments embedded in blog documents into the Like and
+// Comment collections, then set the blogs' likesCount/commentsCount.
+//
+//   npm run migrate:engagement               migrate and print a summary
+//   npm run migrate:engagement -- --dry-run  only count what would move
+//
+// Run it once when deploying the version with separate collections; until
+// then older posts show no likes or comments. It is safe to run again:
+// comments keep their ids and likes are upserted, so an interrupted run can
+// simply be restarted.
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const Blog = require("../models/Blog");
+const Comment = require("../models/Comment");
+const Like = require("../models/Like");
+const { recountCounters } = require("../utils/cleanup");
+
+// Analytics kept like timestamps here before likes had their own collection
+const LIKE_EVENTS = "likeevents";
+
+const likeKey = (blog, comment, user) => `${blog}:${comment || ""}:${user}`;
+
+// When each like was given, where the old like events know it
+const likeTimes = async (db) => {
+  const times = new Map();
+  const exists = await db.listCollections({ name: LIKE_EVENTS }).hasNext();
+  if (!exists) return times;
+  for await (const event of db.collection(LIKE_EVENTS).find()) {
+    times.set(likeKey(event.blog, event.comment, event.user), event.createdAt);
+  }
+  return times;
+};
+
+const upsertLike = (blog, comment, user, createdAt) => ({
+  updateOne: {
+    filter: { blog, comment, user },
+    update: { $setOnInsert: { blog, comment, user, createdAt } },
+    upsert: true,
+  },
+});
+
+// Bulk operations that copy one blog's embedded likes and comments
+const operationsFor = (blog, times) => {
+  const comments = (blog.comments || []).map((comment) => {
+    const createdAt = comment.createdAt || blog.createdAt;
+    return {
+      updateOne: {
+        filter: { _id: comment._id },
+        update: {
+          $setOnInsert: {
+            blog: blog._id,
+            user: comment.user,
+            content: comment.content,
+            userName: comment.userName,
+            parent: comment.parent || null,
+            depth: comment.depth || 0,
+            edited: !!comment.edited,
+            editedAt: comment.editedAt || null,
+            likesCount: 0,
+            deletedAt: comment.deletedAt || null,
+            deletedBy: comment.deletedBy || null,
+            hiddenAt: comment.hiddenAt || null,
+            hiddenReason: comment.hiddenReason || null,
+            createdAt,
+            updatedAt: comment.updatedAt || createdAt,
+          },
+        },
+        upsert: true,
+      },
+    };
+  });
+
+  const likes = (blog.likes || []).map((user) =>
+    upsertLike(
+      blog._id,
+      null,
+      user,
+      times.get(likeKey(blog._id, null, user)) || blog.createdAt
+    )
+  );
+  for (const comment of blog.comments || []) {
+    for (const user of comment.likes || []) {
+      likes.push(
+        upsertLike(
+          blog._id,
+          comment._id,
+          user,
+          times.get(likeKey(blog._id, comment._id, user)) ||
+            comment.createdAt ||
+            blog.createdAt
+        )
+      );
+    }
+  }
+
+  return { comments, likes };
+};
+
+const main = async () => {
+  const dryRun = process.argv.includes("--dry-run");
+  await mongoose.connect(process.env.MONGODB_URI);
+  const db = mongoose.connection.db;
+
+  // The unique like index must exist before upserting into it
+  if (!dryRun) await Promise.all([Comment.syncIndexes(), Like.syncIndexes()]);
+
+  const times = await likeTimes(db);
+  const summary = { blogs: 0, comments: 0, likes: 0 };
+
+  // The raw collection, so soft-deleted posts are migrated too
+  const legacy = Blog.collection.find({
+    $or: [{ likes: { $exists: true } }, { comments: { $exists: true } }],
+  });
+  for await (const blog of legacy) {
+    const { comments, likes } = operationsFor(blog, times);
+    summary.blogs += 1;
+    summary.comments += comments.length;
+    summary.likes += likes.length;
+    if (dryRun) continue;
+
+    if (comments.length) {
+      await Comment.collection.bulkWrite(comments, { ordered: false });
+    }
+    if (likes.length) {
+      await Like.collection.bulkWrite(likes, { ordered: false });
+    }
+    await Blog.collection.updateOne(
+      { _id: blog._id },
+      { $unset: { likes: "", comments: "" } }
+    );
+  }
+
+  if (!dryRun) {
+    summary.countersSet = await recountCounters();
+    // Replaces the text index that covered embedded comments
+    await Blog.syncIndexes();
+    if (await db.listCollections({ name: LIKE_EVENTS }).hasNext()) {
+      await db.dropCollection(LIKE_EVENTS);
+    }
+  }
+
+  summary.dryRun = dryRun;
+  console.log(JSON.stringify(summary, null, 2));
+};
+
+main()
+  .catch((error) => {
+    console.error("Migration error:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,45 @@
+// Give published posts from before the publishing lifecycle a publishedAt
+// (their creation date), so they sort among newer posts in listings.
+//
+//   npm run migrate:published-at               backfill and print a summary
+//   npm run migrate:published-at -- --dry-run  only count what would change
+//
+// Run it once when deploying the version that lists posts by publish date;
+// until then older posts are listed after every newer one. It is safe to run
+// again.
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const Blog = require("../models/Blog");
+
+// Published (or pre-lifecycle) posts that have no publish date yet
+const LEGACY = {
+  status: { $in: ["published", null] },
+  publishedAt: null,
+};
+
+const main = async () => {
+  const dryRun = process.argv.includes("--dry-run");
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // The raw collection, so soft-deleted posts are backfilled too
+  const summary = { blogs: await Blog.collection.countDocuments(LEGACY) };
+  if (!dryRun) {
+    const result = await Blog.collection.updateMany(LEGACY, [
+      { $set: { publishedAt: "$createdAt" } },
+    ]);
+    summary.blogs = result.modifiedCount;
+    // Creates the publishedAt listing indexes
+    await Blog.syncIndexes();
+  }
+
+  summary.dryRun = dryRun;
+  console.log(JSON.stringify(summary, null, 2));
+};
+
+main()
+  .catch((error) => {
+    console.error("Migration error:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,22 @@
+// Find and remove orphaned data and stored media.
+//
+//   npm run reconcile               remove orphans and print a report
+//   npm run reconcile -- --dry-run  only report what would be removed
+const mongoose = require("mongoose");
+require("dotenv").config();
+
+const { reconcileOrphans } = require("../utils/cleanup");
+
+const main = async () => {
+  const dryRun = process.argv.includes("--dry-run");
+  await mongoose.connect(process.env.MONGODB_URI);
+  const report = await reconcileOrphans({ dryRun });
+  console.log(JSON.stringify(report, null, 2));
+};
+
+main()
+  .catch((error) => {
+    console.error("Reconcile error:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
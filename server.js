@@ -2,12 +2,26 @@ const express = require("express");
 const mongoose = require("mongoose");
 const cors = require("cors");
 const cookieParser = require("cookie-parser");
-const path = require("path");
 require("dotenv").config();
+const { logger } = require("./utils/logger");
+const { slowQueryPlugin } = require("./utils/slowQueries");
+const { requestContext, accessLog } = require("./middleware/requestContext");
+const { notFound, errorHandler } = require("./middleware/errorHandler");
+
+// Time every database operation; must run before any model is compiled
+mongoose.plugin(slowQueryPlugin);
 
 const app = express();
 
+// Behind a proxy (e.g. on Render), trust it so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
+app.use(requestContext);
+app.use(accessLog);
 app.use(
   cors({
     origin:
@@ -21,13 +35,24 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(cookieParser());
 
-// Serve uploaded files
-app.use("/uploads", express.static(path.join(__dirname, "uploads")));
+// Serve files stored by the local storage driver. nosniff keeps browsers to
+// the image type given by the file's extension.
+app.use(
+  "/uploads",
+  express.static(require("./utils/storage").localRoot(), {
+    setHeaders: (res) => res.set("X-Content-Type-Options", "nosniff"),
+  })
+);
 
 // Routes
 app.use("/api/auth", require("./routes/auth"));
 app.use("/api/blogs", require("./routes/blog"));
 app.use("/api/admin", require("./routes/admin"));
+app.use("/api/learning-paths", require("./routes/learningPaths"));
+app.use("/api/notifications", require("./routes/notifications"));
+app.use("/api/users", require("./routes/users"));
+app.use("/api/bookmarks", require("./routes/bookmarks"));
+app.use("/api/reading-lists", require("./routes/readingLists"));
 
 // Health check route
 app.get("/api/health", (req, res) => {
@@ -37,18 +62,9 @@ app.get("/api/health", (req, res) => {
   });
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res
-    .status(500)
-    .json({ message: "Something went wrong!", error: err.message });
-});
-
-// 404 handler
-app.use("*", (req, res) => {
-  res.status(404).json({ message: "Route not found" });
-});
+// 404 handler, then one error format for every route
+app.use(notFound);
+app.use(errorHandler);
 
 // Connect to MongoDB
 mongoose
@@ -57,23 +73,21 @@ mongoose
     useUnifiedTopology: true,
   })
   .then(() => {
-    console.log("Connected to MongoDB");
+    logger.info("Connected to MongoDB");
 
-    // Create uploads directory if it doesn't exist
-    const fs = require("fs");
-    const uploadsDir = path.join(__dirname, "uploads");
-    if (!fs.existsSync(uploadsDir)) {
-      fs.mkdirSync(uploadsDir);
-    }
+    // Publish scheduled posts as they come due
+    require("./utils/scheduler").startScheduler();
   })
   .catch((err) => {
-    console.error("MongoDB connection error:", err);
+    logger.error("MongoDB connection error", { error: err });
     process.exit(1);
   });
 
 const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Health check: http://localhost:${PORT}/api/health`);
+  logger.info("Server running", {
+    port: PORT,
+    healthCheck: `http://localhost:${PORT}/api/health`,
+  });
 });
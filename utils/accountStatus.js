@@ -0,0 +1,135 @@
+// Account states (active, suspended, banned) and the failed-login lockout.
+const User = require("../models/User");
+const { AppError } = require("./errors");
+
+const ACCOUNT_STATUSES = ["active", "suspended", "banned"];
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_LOCKOUT_MINUTES = 15;
+
+const maxAttempts = () =>
+  parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS;
+
+const lockoutMs = () =>
+  (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || DEFAULT_LOCKOUT_MINUTES) *
+  60 *
+  1000;
+
+// Why the account may not be used right now, or null. Suspensions end on
+// their own once suspendedUntil has passed.
+const accountBlock = (user, now = new Date()) => {
+  if (user.status === "banned") {
+    return {
+      accountStatus: "banned",
+      message: "This account has been banned.",
+      reason: user.statusReason,
+    };
+  }
+  if (
+    user.status === "suspended" &&
+    (!user.suspendedUntil || user.suspendedUntil > now)
+  ) {
+    return {
+      accountStatus: "suspended",
+      message: "This account is suspended.",
+      reason: user.statusReason,
+      until: user.suspendedUntil,
+    };
+  }
+  return null;
+};
+
+// An accountBlock result as an error to pass to the error handler
+const accountBlockedError = ({ message, ...details }) =>
+  new AppError(message, { status: 403, code: "ACCOUNT_BLOCKED", details });
+
+const isLockedOut = (user, now = new Date()) =>
+  !!user.lockedUntil && user.lockedUntil > now;
+
+// Count a failed login; locks the account once the limit is reached. The
+// count starts over when the previous failure is older than the lockout
+// window, so occasional typos never add up to a lockout. Resolves the
+// updated lockedUntil (null while still unlocked).
+const recordFailedLogin = async (user) => {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - lockoutMs());
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    [
+      {
+        $set: {
+          failedLoginAttempts: {
+            $cond: [
+              { $gte: ["$lastFailedLoginAt", windowStart] },
+              { $add: [{ $ifNull: ["$failedLoginAttempts", 0] }, 1] },
+              1,
+            ],
+          },
+          lastFailedLoginAt: now,
+        },
+      },
+    ],
+    { new: true }
+  );
+  if (updated.failedLoginAttempts < maxAttempts()) return null;
+
+  const lockedUntil = new Date(now.getTime() + lockoutMs());
+  await User.updateOne(
+    { _id: user._id },
+    { failedLoginAttempts: 0, lockedUntil }
+  );
+  return lockedUntil;
+};
+
+const clearLockout = (userId) =>
+  User.updateOne(
+    { _id: userId },
+    { failedLoginAttempts: 0, lockedUntil: null, lastFailedLoginAt: null }
+  );
+
+const lockedError = (lockedUntil) => ({
+  status: 429,
+  error: "Too many failed login attempts. Try again later.",
+  lockedUntil,
+  retryAfter: Math.ceil((lockedUntil.getTime() - Date.now()) / 1000),
+});
+
+// Check a login attempt against the lockout, the password and the account
+// state. Resolves {} when the login may go ahead, otherwise
+// { status, error } plus lockedUntil/retryAfter for a lockout or the
+// account block for a suspended or banned account.
+const verifyLogin = async (user, password) => {
+  if (!user || !password) {
+    return { status: 400, error: "Invalid credentials" };
+  }
+  if (isLockedOut(user)) return lockedError(user.lockedUntil);
+
+  if (!(await user.comparePassword(password))) {
+    const lockedUntil = await recordFailedLogin(user);
+    return lockedUntil
+      ? lockedError(lockedUntil)
+      : { status: 400, error: "Invalid credentials" };
+  }
+
+  const block = accountBlock(user);
+  if (block) return { status: 403, error: block.message, block };
+
+  if (user.failedLoginAttempts || user.lockedUntil) {
+    await clearLockout(user._id);
+  }
+  // Tidy up a suspension that has run out
+  if (user.status === "suspended") {
+    user.status = "active";
+    user.suspendedUntil = null;
+    await user.save();
+  }
+  return {};
+};
+
+module.exports = {
+  ACCOUNT_STATUSES,
+  accountBlock,
+  accountBlockedError,
+  isLockedOut,
+  verifyLogin,
+  clearLockout,
+};
@@ -0,0 +1,454 @@
+// View tracking and the daily rollups behind GET /api/admin/stats. Raw
+// activity (users, posts, comments, likes, views) is summarised per UTC day
+// into DailyStat and DailyPostStat, so the dashboard reads a few rollup
+// documents per day instead of scanning every blog.
+const crypto = require("crypto");
+const Blog = require("../models/Blog");
+const User = require("../models/User");
+const BlogView = require("../models/BlogView");
+const Comment = require("../models/Comment");
+const Like = require("../models/Like");
+const DailyStat = require("../models/DailyStat");
+const DailyPostStat = require("../models/DailyPostStat");
+const Session = require("../models/Session");
+const { logger } = require("./logger");
+
+const DAY = 24 * 60 * 60 * 1000;
+const VISITOR_COOKIE = "visitorId";
+const DEFAULT_WINDOW_DAYS = 30;
+const MAX_WINDOW_DAYS = 366;
+const TOP_LIMIT = 10;
+// How long a rollup of the day in progress is reused before it is recomputed
+const TODAY_MAX_AGE = 60 * 1000;
+
+// How much each kind of interaction counts towards a post's engagement
+const ENGAGEMENT_WEIGHTS = { uniqueViews: 1, likes: 3, comments: 5 };
+
+// Midnight UTC of the day `date` falls on
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY);
+
+const dayRange = (day) => ({ $gte: day, $lt: addDays(day, 1) });
+
+const engagementOf = (stat) =>
+  Object.entries(ENGAGEMENT_WEIGHTS).reduce(
+    (sum, [field, weight]) => sum + (stat[field] || 0) * weight,
+    0
+  );
+
+const visitorSignature = (visitor) =>
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(`visitor:${visitor}`)
+    .digest("hex");
+
+// The visitor id from a cookie we issued ("<id>.<signature>"), or null when
+// it is missing or was not signed by us
+const readVisitorCookie = (cookie) => {
+  const match = /^([a-f0-9]{32})\.([a-f0-9]{64})$/.exec(cookie || "");
+  if (!match) return null;
+  const expected = Buffer.from(visitorSignature(match[1]), "hex");
+  const given = Buffer.from(match[2], "hex");
+  return crypto.timingSafeEqual(expected, given) ? match[1] : null;
+};
+
+// Who is viewing: the signed-in user, or an anonymous visitor cookie. A
+// client without a valid cookie is keyed by IP and user agent until it has
+// one, so made-up ids cannot inflate view counts.
+const visitorKey = (req, res) => {
+  if (req.user) return `user:${req.user._id}`;
+
+  let visitor = readVisitorCookie(req.cookies[VISITOR_COOKIE]);
+  if (!visitor) {
+    visitor = crypto
+      .createHash("sha256")
+      .update(`${req.ip}|${req.get("user-agent") || ""}`)
+      .digest("hex")
+      .slice(0, 32);
+    res.cookie(VISITOR_COOKIE, `${visitor}.${visitorSignature(visitor)}`, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === "production",
+      sameSite: "lax",
+      maxAge: 365 * DAY,
+    });
+  }
+  return `anon:${visitor}`;
+};
+
+// Count a view of a post, once per visitor per day (authors viewing their
+// own post are not counted). Never throws; analytics must not break reads.
+const recordView = async (req, res, blog) => {
+  try {
+    const authorId = (blog.author._id || blog.author).toString();
+    if (req.user && req.user._id.toString() === authorId) return;
+
+    const result = await BlogView.updateOne(
+      {
+        blog: blog._id,
+        visitor: visitorKey(req, res),
+        day: startOfDay(new Date()),
+      },
+      {
+        $inc: { views: 1 },
+        $setOnInsert: { user: req.user ? req.user._id : null },
+      },
+      { upsert: true }
+    );
+    if (result.upsertedCount) {
+      await Blog.updateOne({ _id: blog._id }, { $inc: { viewsCount: 1 } });
+    }
+  } catch (error) {
+    logger.error("View tracking error", { blog: blog._id, error });
+  }
+};
+
+// Per-post and site-wide activity for one day
+const computeDay = async (day) => {
+  const range = dayRange(day);
+
+  const [signups, posts, comments, likes, views] = await Promise.all([
+    User.countDocuments({ createdAt: range }),
+    Blog.find({
+      $or: [
+        { publishedAt: range },
+        // Posts from before the publishing lifecycle have no publishedAt
+        {
+          publishedAt: null,
+          status: { $in: ["published", null] },
+          createdAt: range,
+        },
+      ],
+    })
+      .select("author")
+      .lean(),
+    Comment.aggregate([
+      { $match: { createdAt: range, deletedAt: null } },
+      {
+        $group: {
+          _id: "$blog",
+          comments: { $sum: 1 },
+          users: { $addToSet: "$user" },
+        },
+      },
+    ]),
+    Like.aggregate([
+      { $match: { createdAt: range } },
+      {
+        $group: {
+          _id: "$blog",
+          likes: { $sum: 1 },
+          users: { $addToSet: "$user" },
+        },
+      },
+    ]),
+    BlogView.aggregate([
+      { $match: { day } },
+      {
+        $group: {
+          _id: "$blog",
+          views: { $sum: "$views" },
+          uniqueViews: { $sum: 1 },
+          users: { $addToSet: "$user" },
+        },
+      },
+    ]),
+  ]);
+
+  // Merge the three engagement sources into one row per post
+  const rows = new Map();
+  const rowFor = (blogId) => {
+    const key = blogId.toString();
+    if (!rows.has(key)) {
+      rows.set(key, {
+        blog: blogId,
+        views: 0,
+        uniqueViews: 0,
+        likes: 0,
+        comments: 0,
+      });
+    }
+    return rows.get(key);
+  };
+  comments.forEach((c) => (rowFor(c._id).comments = c.comments));
+  likes.forEach((l) => (rowFor(l._id).likes = l.likes));
+  views.forEach((v) =>
+    Object.assign(rowFor(v._id), { views: v.views, uniqueViews: v.uniqueViews })
+  );
+
+  const blogAuthors = await Blog.find({ _id: { $in: [...rows.keys()] } })
+    .setOptions({ withDeleted: true })
+    .select("author")
+    .lean();
+  const authorOf = new Map(
+    blogAuthors.map((b) => [b._id.toString(), b.author])
+  );
+  const postRows = [...rows.values()].map((row) => ({
+    ...row,
+    day,
+    author: authorOf.get(row.blog.toString()) || null,
+    engagement: engagementOf(row),
+  }));
+
+  const active = new Set(
+    [
+      ...posts.map((p) => p.author),
+      ...comments.flatMap((c) => c.users),
+      ...likes.flatMap((l) => l.users),
+      ...views.flatMap((v) => v.users),
+    ]
+      .filter(Boolean)
+      .map(String)
+  );
+
+  const sum = (field) => postRows.reduce((total, row) => total + row[field], 0);
+  return {
+    totals: {
+      day,
+      signups,
+      posts: posts.length,
+      comments: sum("comments"),
+      likes: sum("likes"),
+      views: sum("views"),
+      uniqueViews: sum("uniqueViews"),
+      activeUsers: active.size,
+      computedAt: new Date(),
+    },
+    postRows,
+  };
+};
+
+// Compute and store the rollups for one day, replacing any earlier run.
+// Rows are upserted by (day, blog), so runs that overlap (e.g. in another
+// process) overwrite each other instead of colliding on the unique index.
+const storeDay = async (day) => {
+  const { totals, postRows } = await computeDay(day);
+  await DailyStat.updateOne({ day }, totals, { upsert: true });
+  if (postRows.length) {
+    await DailyPostStat.bulkWrite(
+      postRows.map((row) => ({
+        updateOne: {
+          filter: { day, blog: row.blog },
+          update: { $set: row },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+  }
+  // Posts that no longer have any activity that day, e.g. a deleted comment
+  await DailyPostStat.deleteMany({
+    day,
+    blog: { $nin: postRows.map((row) => row.blog) },
+  });
+  return totals;
+};
+
+// Day (ms) -> the rollup of that day in progress
+const inFlight = new Map();
+
+// Roll up one day. Concurrent calls for the same day, such as two dashboard
+// loads or a load during a scheduler tick, share a single run.
+const rollupDay = (date) => {
+  const day = startOfDay(date);
+  const key = day.getTime();
+  if (!inFlight.has(key)) {
+    inFlight.set(
+      key,
+      storeDay(day).finally(() => inFlight.delete(key))
+    );
+  }
+  return inFlight.get(key);
+};
+
+// Roll up every day from `from` to `to` (inclusive). Days whose rollup was
+// computed after the day ended are skipped unless `force`, and so is today
+// when it was rolled up less than TODAY_MAX_AGE ago; other days rolled up
+// while still in progress are recomputed. Resolves the number of days
+// computed.
+const rollupRange = async (from, to, { force = false } = {}) => {
+  const first = startOfDay(from);
+  const last = startOfDay(to);
+  const today = startOfDay(new Date());
+
+  const upToDate = new Set();
+  if (!force) {
+    const stats = await DailyStat.find({ day: { $gte: first, $lte: last } })
+      .select("day computedAt")
+      .lean();
+    const fresh = new Date(Date.now() - TODAY_MAX_AGE);
+    stats
+      .filter(
+        (stat) =>
+          stat.computedAt >= addDays(stat.day, 1) ||
+          (stat.day.getTime() === today.getTime() && stat.computedAt >= fresh)
+      )
+      .forEach((stat) => upToDate.add(stat.day.getTime()));
+  }
+
+  let computed = 0;
+  for (let day = first; day <= last; day = addDays(day, 1)) {
+    if (day > today) break;
+    if (upToDate.has(day.getTime())) continue;
+    await rollupDay(day);
+    computed += 1;
+  }
+  return computed;
+};
+
+// validate() rules for ?days, ?from and ?to
+const WINDOW_QUERY = {
+  days: { type: "integer", min: 1 },
+  from: { type: "date" },
+  to: { type: "date" },
+};
+
+// Turn ?days or ?from/?to, already checked against WINDOW_QUERY, into a
+// window of whole UTC days. Returns { window: { from, to } } or { error }.
+const parseWindow = (query) => {
+  const to = startOfDay(query.to ? new Date(query.to) : new Date());
+
+  let from;
+  if (query.from) {
+    from = startOfDay(new Date(query.from));
+  } else {
+    const days = Math.min(query.days || DEFAULT_WINDOW_DAYS, MAX_WINDOW_DAYS);
+    from = addDays(to, -(days - 1));
+  }
+
+  if (from > to) return { error: "from must be before to" };
+  if ((to - from) / DAY >= MAX_WINDOW_DAYS) {
+    return { error: `The window can be at most ${MAX_WINDOW_DAYS} days` };
+  }
+  return { window: { from, to } };
+};
+
+// Rank posts or authors by engagement across the window's post rollups
+const topBy = (groupField, window) =>
+  DailyPostStat.aggregate([
+    { $match: { day: { $gte: window.from, $lte: window.to } } },
+    {
+      $group: {
+        _id: `$${groupField}`,
+        engagement: { $sum: "$engagement" },
+        views: { $sum: "$views" },
+        uniqueViews: { $sum: "$uniqueViews" },
+        likes: { $sum: "$likes" },
+        comments: { $sum: "$comments" },
+        posts: { $addToSet: "$blog" },
+      },
+    },
+    { $match: { _id: { $ne: null } } },
+    { $sort: { engagement: -1, _id: 1 } },
+    { $limit: TOP_LIMIT * 2 },
+  ]);
+
+const topPosts = async (window) => {
+  const ranked = await topBy("blog", window);
+  const blogs = await Blog.find({ _id: { $in: ranked.map((r) => r._id) } })
+    .select("title author authorName")
+    .lean();
+  const byId = new Map(blogs.map((b) => [b._id.toString(), b]));
+  return ranked
+    .filter((r) => byId.has(r._id.toString()))
+    .slice(0, TOP_LIMIT)
+    .map(({ _id, posts, ...stats }) => ({
+      ...byId.get(_id.toString()),
+      ...stats,
+    }));
+};
+
+const topAuthors = async (window) => {
+  const ranked = await topBy("author", window);
+  const users = await User.find({ _id: { $in: ranked.map((r) => r._id) } })
+    .select("name avatar")
+    .lean();
+  const byId = new Map(users.map((u) => [u._id.toString(), u]));
+  return ranked
+    .filter((r) => byId.has(r._id.toString()))
+    .slice(0, TOP_LIMIT)
+    .map(({ _id, posts, ...stats }) => ({
+      ...byId.get(_id.toString()),
+      postCount: posts.length,
+      ...stats,
+    }));
+};
+
+// Distinct signed-in users seen in the last day, week and month
+const activeUserCounts = async () => {
+  const now = Date.now();
+  const seenSince = async (days) =>
+    (
+      await Session.distinct("user", {
+        lastSeenAt: { $gte: new Date(now - days * DAY) },
+      })
+    ).length;
+  const [daily, weekly, monthly] = await Promise.all([
+    seenSince(1),
+    seenSince(7),
+    seenSince(30),
+  ]);
+  return { daily, weekly, monthly };
+};
+
+// Dashboard analytics for a window of days. Missing rollups (and today's)
+// are computed first.
+const getAnalytics = async (window) => {
+  await rollupRange(window.from, window.to);
+
+  const [stats, posts, authors, activeUsers] = await Promise.all([
+    DailyStat.find({ day: { $gte: window.from, $lte: window.to } })
+      .sort({ day: 1 })
+      .lean(),
+    topPosts(window),
+    topAuthors(window),
+    activeUserCounts(),
+  ]);
+
+  const fields = [
+    "signups",
+    "posts",
+    "comments",
+    "likes",
+    "views",
+    "uniqueViews",
+    "activeUsers",
+  ];
+  const series = stats.map((stat) => ({
+    date: stat.day.toISOString().split("T")[0],
+    ...Object.fromEntries(fields.map((field) => [field, stat[field]])),
+  }));
+  const totals = Object.fromEntries(
+    fields
+      .filter((field) => field !== "activeUsers")
+      .map((field) => [field, series.reduce((sum, d) => sum + d[field], 0)])
+  );
+
+  return {
+    window: {
+      from: window.from,
+      to: window.to,
+      days: Math.round((window.to - window.from) / DAY) + 1,
+    },
+    totals,
+    series,
+    topPosts: posts,
+    topAuthors: authors,
+    activeUsers,
+  };
+};
+
+module.exports = {
+  ENGAGEMENT_WEIGHTS,
+  startOfDay,
+  recordView,
+  rollupDay,
+  rollupRange,
+  WINDOW_QUERY,
+  parseWindow,
+  getAnalytics,
+};
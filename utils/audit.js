@@ -0,0 +1,154 @@
+const AuditLog = require("../models/AuditLog");
+const { logger } = require("./logger");
+
+// Fields whose values never go into the audit log
+const REDACTED_FIELDS = ["password"];
+const REDACTED = "[redacted]";
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+// Upper bound on rows in a CSV export
+const MAX_EXPORT_ROWS = 10000;
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Field-by-field changes between two plain snapshots
+const diffSnapshots = (before = {}, after = {}) =>
+  [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    .filter((field) => !isEqual(before[field], after[field]))
+    .map((field) =>
+      REDACTED_FIELDS.includes(field)
+        ? { field, before: REDACTED, after: REDACTED }
+        : { field, before: before[field], after: after[field] }
+    );
+
+// Record a privileged action taken in a request. `target` is the affected
+// document (or just { _id }); `before`/`after` are plain snapshots of the
+// fields that may change. A failure is logged and never blocks the action.
+const recordAudit = async (
+  req,
+  { action, targetType, target, label, before, after, details = null }
+) => {
+  try {
+    const actor = req.user;
+    await AuditLog.create({
+      actor: actor ? actor._id : null,
+      actorName: actor ? actor.name : "",
+      actorRole: actor ? actor.role : "",
+      action,
+      targetType,
+      targetId: target ? String(target._id) : null,
+      targetLabel:
+        label ||
+        (target && (target.title || target.email || target.name)) ||
+        "",
+      changes: before || after ? diffSnapshots(before, after) : [],
+      details,
+      ip: req.ip || "",
+      userAgent: req.get("user-agent") || "",
+    });
+  } catch (error) {
+    logger.error("Audit log error", { action, error });
+  }
+};
+
+// Build the listing options from audit query params (?actor, ?action,
+// ?targetType, ?target, ?from, ?to, ?page, ?limit) already checked by the
+// route's validate() schema.
+const parseAuditQuery = (query) => {
+  const filter = {};
+
+  if (query.actor) filter.actor = query.actor;
+  if (query.action) {
+    // "user" matches every user.* action; "user.update" only that one
+    filter.action = query.action.includes(".")
+      ? query.action
+      : new RegExp(`^${query.action}\\.`);
+  }
+  if (query.targetType) filter.targetType = query.targetType;
+  if (query.target) filter.targetId = query.target;
+
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = new Date(query.from);
+    if (query.to) filter.createdAt.$lte = new Date(query.to);
+  }
+
+  return {
+    filter,
+    page: query.page || 1,
+    limit: Math.min(query.limit || DEFAULT_LIMIT, MAX_LIMIT),
+  };
+};
+
+// A page of audit entries, newest first
+const listAudit = async ({ filter, page, limit }) => {
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    AuditLog.countDocuments(filter),
+  ]);
+  return {
+    entries,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+};
+
+const CSV_COLUMNS = [
+  ["createdAt", (entry) => entry.createdAt.toISOString()],
+  ["actor", (entry) => (entry.actor ? String(entry.actor) : "")],
+  ["actorName", (entry) => entry.actorName],
+  ["actorRole", (entry) => entry.actorRole],
+  ["action", (entry) => entry.action],
+  ["targetType", (entry) => entry.targetType],
+  ["targetId", (entry) => entry.targetId || ""],
+  ["targetLabel", (entry) => entry.targetLabel],
+  ["changes", (entry) => JSON.stringify(entry.changes || [])],
+  ["details", (entry) => (entry.details ? JSON.stringify(entry.details) : "")],
+  ["ip", (entry) => entry.ip],
+];
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  // Quote cells with separators, and neutralize spreadsheet formulas
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+// Stream matching entries (newest first) to the response as CSV
+const streamAuditCsv = async (res, filter) => {
+  res.set({
+    "Content-Type": "text/csv; charset=utf-8",
+    "Content-Disposition": `attachment; filename="audit-${
+      new Date().toISOString().split("T")[0]
+    }.csv"`,
+  });
+  res.write(`${CSV_COLUMNS.map(([name]) => name).join(",")}\n`);
+
+  const cursor = AuditLog.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(MAX_EXPORT_ROWS)
+    .lean()
+    .cursor();
+  for await (const entry of cursor) {
+    res.write(
+      `${CSV_COLUMNS.map(([, value]) => csvCell(value(entry))).join(",")}\n`
+    );
+  }
+  res.end();
+};
+
+module.exports = {
+  recordAudit,
+  parseAuditQuery,
+  listAudit,
+  streamAuditCsv,
+};
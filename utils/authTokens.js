@@ -0,0 +1,114 @@
+const crypto = require("crypto");
+const AuthToken = require("../models/AuthToken");
+const { hashToken } = require("./session");
+const { sendMail } = require("./mailer");
+const { logger } = require("./logger");
+
+const TOKEN_TTL = {
+  "verify-email": 24 * 60 * 60 * 1000, // 24 hours
+  "reset-password": 60 * 60 * 1000, // 1 hour
+};
+
+const escapeHtml = (str) =>
+  String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const clientUrl = () =>
+  process.env.CLIENT_URL ||
+  (process.env.NODE_ENV === "production"
+    ? "https://him-learning.onrender.com"
+    : "http://localhost:3000");
+
+// Create a new token of `type` for the user, invalidating any unused ones
+const issueToken = async (user, type) => {
+  await AuthToken.deleteMany({ user: user._id, type, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await AuthToken.create({
+    user: user._id,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL[type]),
+  });
+  return token;
+};
+
+// Invalidate every unused token of the user, e.g. once links sent to their
+// old email address should no longer work
+const revokeTokens = (user) =>
+  AuthToken.deleteMany({ user: user._id, usedAt: null });
+
+// Mark a token as used and return it, or null if it is unknown, expired or
+// already used. The update is atomic so a token can only be used once.
+const consumeToken = (token, type) =>
+  AuthToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+
+const sendVerificationEmail = async (user) => {
+  const token = await issueToken(user, "verify-email");
+  const link = `${clientUrl()}/verify-email?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: "Verify your email address",
+    text: `Hi ${user.name},\n\nPlease verify your email address by opening this link:\n${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(
+      user.name
+    )},</p><p>Please verify your email address by opening this link:</p><p><a href="${link}">Verify email</a></p><p>The link expires in 24 hours.</p>`,
+  });
+};
+
+// Point the account at a new email address, which has to be verified
+// again. Returns whether it changed; the caller saves the user and then calls
+// confirmNewEmail.
+const setEmail = (user, email) => {
+  if (!email || email === user.email) return false;
+  user.email = email;
+  user.emailVerified = false;
+  user.emailVerifiedAt = null;
+  return true;
+};
+
+// After a saved email change: links sent to the old address stop working and
+// the new one gets a verification email. A mail failure is logged, not
+// thrown; the user can ask for a resend.
+const confirmNewEmail = async (user) => {
+  await revokeTokens(user);
+  try {
+    await sendVerificationEmail(user);
+  } catch (error) {
+    logger.error("Verification email error", { userId: user._id, error });
+  }
+};
+
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueToken(user, "reset-password");
+  const link = `${clientUrl()}/reset-password?token=${token}`;
+  await sendMail({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.name},\n\nSomeone asked to reset the password for your account. If that was you, open this link:\n${link}\n\nThe link expires in 1 hour. If you did not ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(
+      user.name
+    )},</p><p>Someone asked to reset the password for your account. If that was you, open this link:</p><p><a href="${link}">Reset password</a></p><p>The link expires in 1 hour. If you did not ask for this, you can ignore this email.</p>`,
+  });
+};
+
+module.exports = {
+  consumeToken,
+  revokeTokens,
+  sendVerificationEmail,
+  setEmail,
+  confirmNewEmail,
+  sendPasswordResetEmail,
+};
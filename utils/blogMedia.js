@@ -0,0 +1,96 @@
+const crypto = require("crypto");
+const { fromUpload, deleteAsset } = require("./storage");
+
+const MAX_GALLERY_IMAGES = 20;
+
+const escapeXml = (str) =>
+  str
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Split a title into at most three lines of roughly `width` characters
+const wrapTitle = (title, width = 24) => {
+  const lines = [];
+  let line = "";
+  for (const word of title.split(/\s+/).filter(Boolean)) {
+    if (line && (line + " " + word).length > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  if (lines.length > 3) {
+    lines.length = 3;
+    lines[2] = `${lines[2].slice(0, width - 1)}…`;
+  }
+  return lines;
+};
+
+// Default cover for posts without an uploaded image: an SVG gradient, with
+// colours derived from the title, rendered as a data URI so it needs no
+// storage or network access
+const generateDefaultCover = (title = "") => {
+  const hash = crypto.createHash("md5").update(title).digest();
+  const hue = Math.round((hash[0] / 255) * 360);
+  const hue2 = (hue + 40 + (hash[1] % 60)) % 360;
+  const lines = wrapTitle(title || "Him Learning");
+  const startY = 300 - (lines.length - 1) * 30;
+  const text = lines
+    .map(
+      (line, i) =>
+        `<text x="400" y="${
+          startY + i * 60
+        }" text-anchor="middle" font-family="Helvetica, Arial, sans-serif" font-size="44" font-weight="bold" fill="#fff">${escapeXml(
+          line
+        )}</text>`
+    )
+    .join("");
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="800" height="600" viewBox="0 0 800 600"><defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1"><stop offset="0" stop-color="hsl(${hue},65%,45%)"/><stop offset="1" stop-color="hsl(${hue2},70%,30%)"/></linearGradient></defs><rect width="800" height="600" fill="url(#g)"/>${text}</svg>`;
+  return `data:image/svg+xml;base64,${Buffer.from(svg).toString("base64")}`;
+};
+
+// Point the blog at a newly uploaded cover. Returns the previous image so the
+// caller can delete it once the blog has been saved.
+const replaceCover = (blog, file) => {
+  const previous = { asset: blog.imageAsset, url: blog.image };
+  const { url, asset } = fromUpload(file);
+  blog.image = url;
+  blog.imageAsset = asset;
+  return previous;
+};
+
+// Field values may arrive as a single string or an array (multipart forms)
+const pick = (value, i) => (Array.isArray(value) ? value[i] : value);
+
+// Append uploaded files to the blog's gallery. `alt` and `caption` may be
+// arrays matched to the files by position.
+const addGalleryImages = (blog, files, { alt, caption } = {}) => {
+  files.forEach((file, i) => {
+    const { url, asset } = fromUpload(file);
+    blog.gallery.push({
+      url,
+      asset,
+      alt: pick(alt, i) || "",
+      caption: pick(caption, i) || "",
+    });
+  });
+};
+
+// Delete a blog's cover and gallery images from storage
+const deleteBlogMedia = (blog) =>
+  Promise.all([
+    deleteAsset(blog.imageAsset),
+    ...(blog.gallery || []).map((image) => deleteAsset(image.asset)),
+  ]);
+
+module.exports = {
+  MAX_GALLERY_IMAGES,
+  generateDefaultCover,
+  replaceCover,
+  addGalleryImages,
+  deleteBlogMedia,
+};
@@ -0,0 +1,231 @@
+const mongoose = require("mongoose");
+const Blog = require("../models/Blog");
+const { PAGE_QUERY } = require("./pagination");
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const STATUSES = ["draft", "scheduled", "published"];
+
+// Matches publicly visible posts. Posts saved before the publishing lifecycle
+// existed have no status and count as published; posts hidden by moderation
+// are left out.
+const publishedFilter = {
+  status: { $in: ["published", null] },
+  hiddenAt: null,
+};
+
+// Supported sort orders for blog listings. "newest" is by publish date;
+// drafts and scheduled posts have none and come after every published post.
+const SORTS = {
+  newest: "publishedAt",
+  likes: "likesCount",
+  comments: "commentsCount",
+};
+
+// Cursors are opaque to clients: base64url-encoded JSON of the last item's
+// sort value and _id.
+const encodeCursor = (sort, value, id) =>
+  Buffer.from(JSON.stringify({ s: sort, v: value, id: String(id) })).toString(
+    "base64url"
+  );
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const { s, v, id } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf8")
+    );
+    if (s !== sort || !mongoose.Types.ObjectId.isValid(id)) return null;
+    const objectId = new mongoose.Types.ObjectId(id);
+    if (sort === "newest" && v === null) return { value: null, id: objectId };
+    const value = sort === "newest" ? new Date(v) : Number(v);
+    if (sort === "newest" ? isNaN(value.getTime()) : !Number.isFinite(value)) {
+      return null;
+    }
+    return { value, id: objectId };
+  } catch (error) {
+    return null;
+  }
+};
+
+// validate() rules for the listing query params (?limit, ?page, ?cursor,
+// ?sort, ?author, ?tag, ?category, ?status, ?from, ?to)
+const LIST_QUERY = {
+  ...PAGE_QUERY,
+  cursor: { type: "string", maxLength: 500 },
+  sort: { type: "string", enum: Object.keys(SORTS), default: "newest" },
+  author: { type: "objectId" },
+  tag: { type: "string", trim: true, maxLength: 50 },
+  category: { type: "objectId" },
+  status: { type: "string", enum: STATUSES },
+  from: { type: "date" },
+  to: { type: "date" },
+};
+
+// Build listing options from query params already checked against
+// LIST_QUERY. Returns { error } when the cursor is unusable.
+const parseListOptions = (query) => {
+  const { sort } = query;
+  const limit = Math.min(query.limit || DEFAULT_LIMIT, MAX_LIMIT);
+  const page = query.page || null;
+
+  let cursor = null;
+  if (query.cursor) {
+    if (page) return { error: "Use either cursor or page, not both" };
+    cursor = decodeCursor(query.cursor, sort);
+    if (!cursor) return { error: "Invalid cursor" };
+  }
+
+  const filter = {};
+  if (query.author) {
+    filter.author = new mongoose.Types.ObjectId(query.author);
+  }
+  if (query.tag) {
+    filter.tags = query.tag.toLowerCase();
+  }
+  if (query.category) {
+    filter.category = new mongoose.Types.ObjectId(query.category);
+  }
+  if (query.status) {
+    filter.status =
+      query.status === "published" ? publishedFilter.status : query.status;
+  }
+  if (query.from || query.to) {
+    filter.publishedAt = {};
+    if (query.from) filter.publishedAt.$gte = new Date(query.from);
+    if (query.to) filter.publishedAt.$lte = new Date(query.to);
+  }
+
+  return { options: { sort, limit, page, cursor, filter } };
+};
+
+// Heavy fields left out of listings
+const LIST_PROJECTION = { $project: { descriptionHtml: 0, toc: 0 } };
+
+// Items after the cursor in (field desc, _id desc) order. A null value (an
+// unpublished post) sorts below every other value.
+const afterCursor = (field, { value, id }) => {
+  if (value === null) return { [field]: null, _id: { $lt: id } };
+  return {
+    $or: [
+      { [field]: { $lt: value } },
+      { [field]: value, _id: { $lt: id } },
+      { [field]: null },
+    ],
+  };
+};
+
+const populateListed = (blogs, authorFields) =>
+  Blog.populate(blogs, [
+    { path: "author", select: authorFields },
+    { path: "category", select: "name slug" },
+  ]);
+
+// Run a paginated blog listing. `baseFilter` is merged with the parsed
+// filters (e.g. to scope to one author) and `authorFields` controls what is
+// populated on the author. Rendered HTML is left out of list results.
+const listBlogs = async (
+  { sort, limit, page, cursor, filter },
+  { baseFilter = {}, authorFields = "name" } = {}
+) => {
+  const match = { ...filter, ...baseFilter };
+  const sortField = SORTS[sort];
+
+  const pipeline = [
+    {
+      $match: cursor ? { ...match, ...afterCursor(sortField, cursor) } : match,
+    },
+  ];
+
+  pipeline.push({ $sort: { [sortField]: -1, _id: -1 } });
+  if (page) pipeline.push({ $skip: (page - 1) * limit });
+  pipeline.push({ $limit: limit + 1 }, LIST_PROJECTION);
+
+  const [results, total] = await Promise.all([
+    Blog.aggregate(pipeline),
+    Blog.countDocuments(match),
+  ]);
+
+  const hasMore = results.length > limit;
+  const blogs = results.slice(0, limit);
+  await populateListed(blogs, authorFields);
+
+  const last = blogs[blogs.length - 1];
+  const pagination = {
+    sort,
+    limit,
+    total,
+    hasMore,
+    nextCursor:
+      hasMore && last
+        ? encodeCursor(sort, last[sortField] ?? null, last._id)
+        : null,
+  };
+  if (page) {
+    pagination.page = page;
+    pagination.totalPages = Math.ceil(total / limit);
+  }
+
+  return { blogs, pagination };
+};
+
+// One page of the published posts matching `filter`, newest first
+const publishedPage = (filter, skip, limit) =>
+  limit > 0
+    ? Blog.aggregate([
+        { $match: { ...publishedFilter, ...filter } },
+        { $sort: { publishedAt: -1, _id: -1 } },
+        { $skip: skip },
+        { $limit: limit },
+        LIST_PROJECTION,
+      ])
+    : [];
+
+// Published posts with the given authors' posts first, each group newest
+// first. `followingOnly` leaves the other authors out. Page-based only. The
+// two groups are queried separately so both sorts can use the publishedAt
+// index.
+const listFeed = async (authorIds, { limit, page, followingOnly = false }) => {
+  const following = { author: { $in: authorIds } };
+  const others = { author: { $nin: authorIds } };
+  const [followingTotal, othersTotal] = await Promise.all([
+    Blog.countDocuments({ ...publishedFilter, ...following }),
+    followingOnly ? 0 : Blog.countDocuments({ ...publishedFilter, ...others }),
+  ]);
+  const total = followingTotal + othersTotal;
+  const skip = (page - 1) * limit;
+
+  const fromFollowing = await publishedPage(
+    following,
+    skip,
+    Math.min(limit, followingTotal - skip)
+  );
+  const fromOthers = followingOnly
+    ? []
+    : await publishedPage(
+        others,
+        Math.max(skip - followingTotal, 0),
+        limit - fromFollowing.length
+      );
+
+  const blogs = [...fromFollowing, ...fromOthers];
+  await populateListed(blogs, "name avatar");
+
+  return {
+    blogs,
+    pagination: {
+      limit,
+      page,
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasMore: skip + limit < total,
+    },
+  };
+};
+
+module.exports = {
+  publishedFilter,
+  LIST_QUERY,
+  parseListOptions,
+  listBlogs,
+  listFeed,
+};
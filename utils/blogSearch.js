@@ -0,0 +1,188 @@
+const Blog = require("../models/Blog");
+const Comment = require("../models/Comment");
+const { ACTIVE_COMMENT } = require("./comments");
+const { PAGE_QUERY, parsePageOptions } = require("./pagination");
+const { htmlToText } = require("./markdown");
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const SNIPPET_LENGTH = 160;
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const escapeHtml = (str) =>
+  str
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Split a search string into the plain terms used for highlighting
+const extractTerms = (q) => [
+  ...new Set(
+    q
+      .replace(/["-]/g, " ")
+      .split(/\s+/)
+      .map((t) => t.trim())
+      .filter((t) => t.length > 1)
+  ),
+];
+
+// Cut a window of text around the first term match and wrap every match in
+// <mark>. The text is HTML-escaped so the snippet is safe to render.
+const highlight = (text, termRegex, { full = false } = {}) => {
+  if (!text) return null;
+  termRegex.lastIndex = 0;
+  const match = termRegex.exec(text);
+  if (!match) return null;
+
+  let snippet = text;
+  let prefix = "";
+  let suffix = "";
+  if (!full && text.length > SNIPPET_LENGTH) {
+    const start = Math.max(0, match.index - SNIPPET_LENGTH / 4);
+    const end = Math.min(text.length, start + SNIPPET_LENGTH);
+    snippet = text.slice(start, end);
+    prefix = start > 0 ? "…" : "";
+    suffix = end < text.length ? "…" : "";
+  }
+
+  return (
+    prefix +
+    snippet
+      .split(termRegex)
+      .map((part, i) =>
+        i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)
+      )
+      .join("") +
+    suffix
+  );
+};
+
+// validate() rules for the search query params (?q, ?comments, ?limit, ?page)
+const SEARCH_QUERY = {
+  q: { type: "string", required: true, trim: true, maxLength: 200 },
+  comments: { type: "boolean", default: false },
+  ...PAGE_QUERY,
+};
+
+// Build search options from query params already checked against
+// SEARCH_QUERY. Returns { error } when the query has nothing to search for.
+const parseSearchOptions = (query) => {
+  const { q } = query;
+  const terms = extractTerms(q);
+  if (!terms.length) return { error: "Search query is too short" };
+
+  const options = parsePageOptions(query, {
+    defaultLimit: DEFAULT_LIMIT,
+    maxLimit: MAX_LIMIT,
+  });
+
+  return {
+    options: { q, terms, ...options, includeComments: query.comments },
+  };
+};
+
+// Full-text search over blogs, ranked by text score. With `includeComments`,
+// posts whose comments match are included too, ranked after the posts that
+// match in their own text.
+const searchBlogs = async (
+  { q, terms, limit, page, includeComments },
+  { baseFilter = {} } = {}
+) => {
+  const termRegex = new RegExp(`(${terms.map(escapeRegex).join("|")})`, "gi");
+
+  const pipeline = [
+    { $match: { $text: { $search: q }, ...baseFilter } },
+    { $addFields: { score: { $meta: "textScore" } } },
+  ];
+  if (includeComments) {
+    const commentBlogs = await Comment.distinct("blog", {
+      $text: { $search: q },
+      ...ACTIVE_COMMENT,
+    });
+    // The $text stage above already finds posts matching in their own text
+    const textMatches = await Blog.distinct("_id", {
+      $text: { $search: q },
+      _id: { $in: commentBlogs },
+    });
+    const matched = new Set(textMatches.map(String));
+    pipeline.push({
+      $unionWith: {
+        coll: Blog.collection.name,
+        pipeline: [
+          {
+            $match: {
+              ...baseFilter,
+              _id: {
+                $in: commentBlogs.filter((id) => !matched.has(String(id))),
+              },
+              deletedAt: null,
+            },
+          },
+          { $addFields: { score: 0 } },
+        ],
+      },
+    });
+  }
+
+  pipeline.push({
+    $facet: {
+      results: [
+        { $sort: { score: -1, createdAt: -1, _id: -1 } },
+        { $skip: (page - 1) * limit },
+        { $limit: limit },
+        { $project: { descriptionHtml: 0, toc: 0 } },
+      ],
+      total: [{ $count: "count" }],
+    },
+  });
+
+  const [{ results, total }] = await Blog.aggregate(pipeline);
+  await Blog.populate(results, { path: "author", select: "name" });
+
+  // Matching visible comments of this page's posts, for the highlights
+  const comments = includeComments
+    ? await Comment.find({
+        $text: { $search: q },
+        blog: { $in: results.map((blog) => blog._id) },
+        ...ACTIVE_COMMENT,
+      })
+        .select("blog content")
+        .lean()
+    : [];
+
+  const blogs = results.map((blog) => {
+    const highlights = {
+      title: highlight(blog.title, termRegex, { full: true }),
+      description: highlight(blog.description, termRegex),
+    };
+    if (includeComments) {
+      highlights.comments = comments
+        .filter((c) => c.blog.toString() === blog._id.toString())
+        // Comments are stored as sanitized HTML; highlight their text
+        .map((c) => ({
+          _id: c._id,
+          snippet: highlight(htmlToText(c.content), termRegex),
+        }))
+        .filter((c) => c.snippet)
+        .slice(0, 3);
+    }
+    return { ...blog, highlights };
+  });
+
+  const count = total[0] ? total[0].count : 0;
+  return {
+    blogs,
+    pagination: {
+      page,
+      limit,
+      total: count,
+      totalPages: Math.ceil(count / limit),
+      hasMore: page * limit < count,
+    },
+  };
+};
+
+module.exports = { SEARCH_QUERY, parseSearchOptions, searchBlogs };
@@ -0,0 +1,53 @@
+const Category = require("../models/Category");
+
+// Ids of a category and every category nested below it
+const categoryWithDescendants = async (categoryId) => {
+  const categories = await Category.find().select("parent").lean();
+  const ids = [categoryId.toString()];
+  for (let i = 0; i < ids.length; i++) {
+    for (const category of categories) {
+      if (category.parent && category.parent.toString() === ids[i]) {
+        ids.push(category._id.toString());
+      }
+    }
+  }
+  return ids;
+};
+
+// True if making `parentId` the parent of `categoryId` would create a cycle
+const wouldCreateCycle = async (categoryId, parentId) => {
+  if (!parentId) return false;
+  const ids = await categoryWithDescendants(categoryId);
+  return ids.includes(parentId.toString());
+};
+
+// Nest categories under their parents. `counts` maps category id to the
+// number of published posts directly in that category; `totalCount` also
+// includes posts in subcategories.
+const buildCategoryTree = (categories, counts) => {
+  const nodes = new Map(
+    categories.map((c) => [
+      c._id.toString(),
+      { ...c, count: counts.get(c._id.toString()) || 0, children: [] },
+    ])
+  );
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+
+  const total = (node) =>
+    (node.totalCount =
+      node.count + node.children.reduce((sum, child) => sum + total(child), 0));
+  roots.forEach(total);
+  return roots;
+};
+
+module.exports = {
+  categoryWithDescendants,
+  wouldCreateCycle,
+  buildCategoryTree,
+};
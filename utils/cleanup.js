@@ -0,0 +1,371 @@
+// Cascade cleanup for deleted users and blogs, plus a reconciliation job that
+// finds data and media left behind by older deletes. Every function returns
+// a report of what it changed.
+const Blog = require("../models/Blog");
+const User = require("../models/User");
+const BlogRevision = require("../models/BlogRevision");
+const LearningPath = require("../models/LearningPath");
+const PathProgress = require("../models/PathProgress");
+const Session = require("../models/Session");
+const AuthToken = require("../models/AuthToken");
+const Report = require("../models/Report");
+const BlogView = require("../models/BlogView");
+const Comment = require("../models/Comment");
+const Like = require("../models/Like");
+const Notification = require("../models/Notification");
+const Follow = require("../models/Follow");
+const ReadingList = require("../models/ReadingList");
+const Bookmark = require("../models/Bookmark");
+const { deleteAsset, assetFromUrl, activeDriver } = require("./storage");
+const { deleteBlogMedia } = require("./blogMedia");
+const { ACTIVE_COMMENT, descendantIds, removeComments } = require("./comments");
+const { removeUserLikes } = require("./likes");
+const { removeBlogsFromLists } = require("./readingLists");
+
+// Soft-deleted blogs and users still exist here: they keep their media,
+// revisions and activity until purged from the trash.
+
+// Stored files younger than this are skipped by reconciliation, so uploads
+// whose document has not been saved yet are not mistaken for orphans
+const ORPHAN_GRACE_PERIOD = 60 * 60 * 1000; // 1 hour
+
+const emptyReport = () => ({
+  blogsDeleted: 0,
+  mediaDeleted: 0,
+  revisionsDeleted: 0,
+  commentsRemoved: 0,
+  likesRemoved: 0,
+  pathEntriesRemoved: 0,
+  progressRemoved: 0,
+  sessionsDeleted: 0,
+  tokensDeleted: 0,
+  reportsDeleted: 0,
+  viewsDeleted: 0,
+  notificationsDeleted: 0,
+  followsDeleted: 0,
+  readingListsUpdated: 0,
+  readingListsDeleted: 0,
+  usersDeleted: 0,
+});
+
+const mergeReports = (target, source) => {
+  for (const key of Object.keys(source)) {
+    target[key] = (target[key] || 0) + source[key];
+  }
+  return target;
+};
+
+const countTrue = (results) => results.filter(Boolean).length;
+
+// Remove references to deleted blogs from learning paths and progress
+const detachBlogs = async (blogIds) => {
+  const paths = await LearningPath.updateMany(
+    { blogs: { $in: blogIds } },
+    { $pull: { blogs: { $in: blogIds } } }
+  );
+  await PathProgress.updateMany(
+    { "completed.blog": { $in: blogIds } },
+    { $pull: { completed: { blog: { $in: blogIds } } } }
+  );
+  await PathProgress.updateMany(
+    { lastBlog: { $in: blogIds } },
+    { lastBlog: null }
+  );
+  return paths.modifiedCount;
+};
+
+// Delete a blog and everything that belongs to it: stored images, revision
+// history, learning path and reading list entries, reports, views, comments,
+// likes and notifications
+const deleteBlogCascade = async (blog) => {
+  const report = emptyReport();
+
+  await Blog.deleteOne({ _id: blog._id });
+  report.blogsDeleted = 1;
+  report.mediaDeleted = countTrue(await deleteBlogMedia(blog));
+
+  const revisions = await BlogRevision.deleteMany({ blog: blog._id });
+  report.revisionsDeleted = revisions.deletedCount;
+  report.pathEntriesRemoved = await detachBlogs([blog._id]);
+  report.readingListsUpdated = await removeBlogsFromLists([blog._id]);
+  report.reportsDeleted = (
+    await Report.deleteMany({ blog: blog._id })
+  ).deletedCount;
+  report.viewsDeleted = (
+    await BlogView.deleteMany({ blog: blog._id })
+  ).deletedCount;
+  report.commentsRemoved = (
+    await Comment.deleteMany({ blog: blog._id })
+  ).deletedCount;
+  report.likesRemoved = (
+    await Like.deleteMany({ blog: blog._id })
+  ).deletedCount;
+  report.notificationsDeleted = (
+    await Notification.deleteMany({ blog: blog._id })
+  ).deletedCount;
+
+  return report;
+};
+
+// Remove a user's likes and comments (with the replies under them) from
+// every blog. Works for users that no longer exist.
+const removeUserActivity = async (userId) => {
+  const report = emptyReport();
+
+  report.likesRemoved += await removeUserLikes(userId);
+
+  for (const blogId of await Comment.distinct("blog", { user: userId })) {
+    const own = await Comment.distinct("_id", { blog: blogId, user: userId });
+    report.commentsRemoved += await removeComments(blogId, [
+      ...own,
+      ...(await descendantIds(own)),
+    ]);
+  }
+
+  return report;
+};
+
+// Delete a user and everything they own: their blogs (cascaded), likes and
+// comments on other posts, avatar, sessions, tokens and learning progress
+const deleteUserCascade = async (user) => {
+  const report = emptyReport();
+
+  const blogs = await Blog.find({ author: user._id }).setOptions({
+    withDeleted: true,
+  });
+  for (const blog of blogs) {
+    mergeReports(report, await deleteBlogCascade(blog));
+  }
+
+  await User.deleteOne({ _id: user._id });
+  report.usersDeleted = 1;
+
+  mergeReports(report, await removeUserActivity(user._id));
+
+  if (await deleteAsset(user.avatarAsset)) {
+    report.mediaDeleted += 1;
+  }
+  report.sessionsDeleted = (
+    await Session.deleteMany({ user: user._id })
+  ).deletedCount;
+  report.tokensDeleted = (
+    await AuthToken.deleteMany({ user: user._id })
+  ).deletedCount;
+  report.progressRemoved = (
+    await PathProgress.deleteMany({ user: user._id })
+  ).deletedCount;
+  report.reportsDeleted += (
+    await Report.deleteMany({ reporter: user._id })
+  ).deletedCount;
+  report.viewsDeleted += (
+    await BlogView.deleteMany({ user: user._id })
+  ).deletedCount;
+  report.notificationsDeleted += (
+    await Notification.deleteMany({
+      $or: [{ recipient: user._id }, { actor: user._id }],
+    })
+  ).deletedCount;
+  report.readingListsDeleted = (
+    await ReadingList.deleteMany({ owner: user._id })
+  ).deletedCount;
+  await Bookmark.deleteMany({ user: user._id });
+  report.followsDeleted = (
+    await Follow.deleteMany({
+      $or: [{ follower: user._id }, { following: user._id }],
+    })
+  ).deletedCount;
+
+  return report;
+};
+
+// Keys of every stored file still referenced by a blog or user
+const referencedKeys = async () => {
+  const keys = new Set();
+  const add = (asset, url) => {
+    const target = asset && asset.key ? asset : assetFromUrl(url);
+    if (target) keys.add(`${target.provider}:${target.key}`);
+  };
+
+  for await (const blog of Blog.find()
+    .setOptions({ withDeleted: true })
+    .select("image imageAsset gallery")
+    .lean()
+    .cursor()) {
+    add(blog.imageAsset, blog.image);
+    (blog.gallery || []).forEach((image) => add(image.asset, image.url));
+  }
+  for await (const user of User.find()
+    .setOptions({ withDeleted: true })
+    .select("avatar avatarAsset")
+    .lean()
+    .cursor()) {
+    add(user.avatarAsset, user.avatar);
+  }
+  return keys;
+};
+
+// Check the likesCount/commentsCount counters of every blog and comment
+// against the Like and Comment collections, and (unless dryRun) set the ones
+// that drifted, e.g. after a crash between the two writes. Counts are taken
+// up front, so run it when traffic is low. Resolves the number of counters
+// that were off.
+const recountCounters = async ({ dryRun = false } = {}) => {
+  const countsBy = async (Model, match, field) =>
+    new Map(
+      (
+        await Model.aggregate([
+          { $match: match },
+          { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+        ])
+      ).map((row) => [row._id.toString(), row.count])
+    );
+  const [blogLikes, commentLikes, blogComments] = await Promise.all([
+    countsBy(Like, { comment: null }, "blog"),
+    countsBy(Like, { comment: { $ne: null } }, "comment"),
+    countsBy(Comment, ACTIVE_COMMENT, "blog"),
+  ]);
+
+  let fixed = 0;
+  const check = async (Model, doc, expected) => {
+    const set = {};
+    for (const [field, counts] of Object.entries(expected)) {
+      const count = counts.get(doc._id.toString()) || 0;
+      if (doc[field] !== count) set[field] = count;
+    }
+    const changed = Object.keys(set).length;
+    if (changed && !dryRun) await Model.updateOne({ _id: doc._id }, set);
+    fixed += changed;
+  };
+
+  for await (const blog of Blog.find()
+    .setOptions({ withDeleted: true })
+    .select("likesCount commentsCount")
+    .lean()
+    .cursor()) {
+    await check(Blog, blog, {
+      likesCount: blogLikes,
+      commentsCount: blogComments,
+    });
+  }
+  for await (const comment of Comment.find()
+    .select("likesCount")
+    .lean()
+    .cursor()) {
+    await check(Comment, comment, { likesCount: commentLikes });
+  }
+  return fixed;
+};
+
+// Find and (unless dryRun) remove data left behind by deletes that predate
+// the cascade: blogs, likes and comments of users that no longer exist,
+// revisions and path entries of deleted blogs, sessions, tokens and progress
+// of deleted users, and stored files that nothing references. Also fixes
+// like and comment counters that drifted.
+const reconcileOrphans = async ({ dryRun = false } = {}) => {
+  const report = emptyReport();
+  report.orphanedFiles = [];
+
+  // Trashed users and blogs still exist; only purged ones are gone
+  const userIds = new Set(
+    (await User.distinct("_id").setOptions({ withDeleted: true })).map(String)
+  );
+  const blogIds = new Set(
+    (await Blog.distinct("_id").setOptions({ withDeleted: true })).map(String)
+  );
+  const missingUsers = (ids) =>
+    [...new Set(ids.map(String))].filter((id) => !userIds.has(id));
+  const missingBlogs = (ids) =>
+    [...new Set(ids.map(String))].filter((id) => !blogIds.has(id));
+
+  // Blogs whose author was deleted
+  const orphanBlogs = await Blog.find({
+    author: {
+      $in: missingUsers(
+        await Blog.distinct("author").setOptions({ withDeleted: true })
+      ),
+    },
+  }).setOptions({ withDeleted: true });
+
+  // Users referenced by likes or comments but no longer present
+  const goneUsers = missingUsers([
+    ...(await Like.distinct("user")),
+    ...(await Comment.distinct("user")),
+    ...(await Session.distinct("user")),
+    ...(await AuthToken.distinct("user")),
+    ...(await PathProgress.distinct("user")),
+  ]);
+
+  // Comments, likes, revisions, path and reading list entries of blogs that
+  // no longer exist
+  const goneBlogs = missingBlogs([
+    ...(await Comment.distinct("blog")),
+    ...(await Like.distinct("blog")),
+    ...(await BlogRevision.distinct("blog")),
+    ...(await LearningPath.distinct("blogs")),
+    ...(await PathProgress.distinct("completed.blog")),
+    ...(await ReadingList.distinct("items.blog")),
+    ...(await Bookmark.distinct("blog")),
+  ]);
+
+  if (dryRun) {
+    report.blogsDeleted = orphanBlogs.length;
+    report.orphanedUsers = goneUsers.length;
+    report.orphanedBlogReferences = goneBlogs.length;
+  } else {
+    for (const blog of orphanBlogs) {
+      mergeReports(report, await deleteBlogCascade(blog));
+      goneBlogs.push(blog._id.toString());
+    }
+    for (const userId of goneUsers) {
+      mergeReports(report, await removeUserActivity(userId));
+      report.sessionsDeleted += (
+        await Session.deleteMany({ user: userId })
+      ).deletedCount;
+      report.tokensDeleted += (
+        await AuthToken.deleteMany({ user: userId })
+      ).deletedCount;
+      report.progressRemoved += (
+        await PathProgress.deleteMany({ user: userId })
+      ).deletedCount;
+    }
+    if (goneBlogs.length) {
+      report.commentsRemoved += (
+        await Comment.deleteMany({ blog: { $in: goneBlogs } })
+      ).deletedCount;
+      report.likesRemoved += (
+        await Like.deleteMany({ blog: { $in: goneBlogs } })
+      ).deletedCount;
+      report.revisionsDeleted += (
+        await BlogRevision.deleteMany({ blog: { $in: goneBlogs } })
+      ).deletedCount;
+      report.pathEntriesRemoved += await detachBlogs(goneBlogs);
+      report.readingListsUpdated += await removeBlogsFromLists(goneBlogs);
+    }
+  }
+
+  // Stored files that no blog or user points at
+  const { name, adapter } = activeDriver();
+  const referenced = await referencedKeys();
+  const cutoff = Date.now() - ORPHAN_GRACE_PERIOD;
+  for (const kind of ["blogs", "avatars"]) {
+    for (const file of await adapter.list(kind)) {
+      if (referenced.has(`${name}:${file.key}`)) continue;
+      if (file.createdAt.getTime() > cutoff) continue;
+      report.orphanedFiles.push(file.key);
+      if (!dryRun && (await deleteAsset({ provider: name, key: file.key }))) {
+        report.mediaDeleted += 1;
+      }
+    }
+  }
+
+  report.countersFixed = await recountCounters({ dryRun });
+  report.dryRun = dryRun;
+  return report;
+};
+
+module.exports = {
+  deleteBlogCascade,
+  deleteUserCascade,
+  recountCounters,
+  reconcileOrphans,
+};
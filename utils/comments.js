@@ -0,0 +1,202 @@
+const mongoose = require("mongoose");
+const Blog = require("../models/Blog");
+const Comment = require("../models/Comment");
+const Like = require("../models/Like");
+const { withLikes } = require("./likes");
+const { parsePageOptions } = require("./pagination");
+
+// Replies may nest this many levels below a top-level comment
+const MAX_COMMENT_DEPTH = 2;
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Matches comments that are neither soft-deleted nor hidden by moderation.
+// Only these count towards a blog's commentsCount.
+const ACTIVE_COMMENT = { deletedAt: null, hiddenAt: null };
+
+const idOf = (value) => (value ? value.toString() : null);
+
+// Move a blog's comment counter
+const adjustCommentsCount = async (blogId, delta) => {
+  if (!delta) return;
+  // Trashed blogs keep their counters right in case they are restored
+  await Blog.updateOne(
+    { _id: blogId },
+    { $inc: { commentsCount: delta } },
+    { withDeleted: true }
+  );
+};
+
+// Ids of every reply below the given comments (not including them). Replies
+// nest at most MAX_COMMENT_DEPTH deep, so this is one query per level.
+const descendantIds = async (commentIds) => {
+  const ids = [];
+  let level = commentIds;
+  while (level.length) {
+    level = await Comment.distinct("_id", { parent: { $in: level } });
+    ids.push(...level);
+  }
+  return ids;
+};
+
+// A comment on the blog that exists and is neither soft-deleted nor hidden,
+// or null
+const findActiveComment = async (blog, commentId) => {
+  if (!mongoose.Types.ObjectId.isValid(commentId)) return null;
+  return Comment.findOne({ _id: commentId, blog: blog._id, ...ACTIVE_COMMENT });
+};
+
+// Add a comment (a reply when `parent` is given) and count it
+const createComment = async (blog, user, content, parent = null) => {
+  const comment = await Comment.create({
+    blog: blog._id,
+    user: user._id,
+    content,
+    userName: user.name,
+    parent: parent ? parent._id : null,
+    depth: parent ? parent.depth + 1 : 0,
+  });
+  await adjustCommentsCount(blog._id, 1);
+  return comment;
+};
+
+// Every visible comment of a blog, oldest first, as JSON with likes
+const listComments = async (blogId) =>
+  withLikes(
+    await Comment.find({ blog: blogId, ...ACTIVE_COMMENT })
+      .sort({ createdAt: 1, _id: 1 })
+      .populate("user", "name")
+  );
+
+// Soft-delete a comment and the replies under it with one timestamp, so
+// they can be restored together. Resolves the ids marked.
+const softDeleteComments = async (comment, user, deletedAt = new Date()) => {
+  const ids = [comment._id, ...(await descendantIds([comment._id]))];
+  const update = { deletedAt, deletedBy: user._id };
+  // Visible ones first, so the counter drops by exactly that many
+  const visible = await Comment.updateMany(
+    { _id: { $in: ids }, ...ACTIVE_COMMENT },
+    update
+  );
+  await Comment.updateMany({ _id: { $in: ids }, deletedAt: null }, update);
+  await adjustCommentsCount(comment.blog, -visible.modifiedCount);
+  return ids;
+};
+
+// Bring back soft-deleted comments. Resolves the number restored.
+const restoreComments = async (blogId, ids) => {
+  const update = { deletedAt: null, deletedBy: null };
+  const visible = await Comment.updateMany(
+    { _id: { $in: ids }, deletedAt: { $ne: null }, hiddenAt: null },
+    update
+  );
+  const hidden = await Comment.updateMany(
+    { _id: { $in: ids }, deletedAt: { $ne: null } },
+    update
+  );
+  await adjustCommentsCount(blogId, visible.modifiedCount);
+  return visible.modifiedCount + hidden.modifiedCount;
+};
+
+// Hide a comment for moderation or show it again
+const setCommentHidden = async (comment, hidden, reason = null) => {
+  const changed = await Comment.updateOne(
+    {
+      _id: comment._id,
+      deletedAt: null,
+      hiddenAt: hidden ? null : { $ne: null },
+    },
+    { hiddenAt: hidden ? new Date() : null, hiddenReason: reason }
+  );
+  if (changed.modifiedCount) {
+    await adjustCommentsCount(comment.blog, hidden ? -1 : 1);
+  }
+};
+
+// Permanently delete comments and their likes. Resolves the number removed.
+const removeComments = async (blogId, ids) => {
+  const visible = await Comment.deleteMany({
+    _id: { $in: ids },
+    ...ACTIVE_COMMENT,
+  });
+  const rest = await Comment.deleteMany({ _id: { $in: ids } });
+  await Like.deleteMany({ comment: { $in: ids } });
+  await adjustCommentsCount(blogId, -visible.deletedCount);
+  return visible.deletedCount + rest.deletedCount;
+};
+
+// Page options for a comment thread from ?page/?limit (see PAGE_QUERY)
+const parseThreadOptions = (query) =>
+  parsePageOptions(query, { defaultLimit: DEFAULT_LIMIT, maxLimit: MAX_LIMIT });
+
+// Load a page of a comment thread. Top-level comments under `parentId`
+// (null for the whole post) are paginated oldest first; their replies are
+// nested in full under `replies`.
+const loadThread = async (blogId, parentId, { page, limit }) => {
+  const rootFilter = { blog: blogId, parent: parentId, ...ACTIVE_COMMENT };
+  const [roots, total] = await Promise.all([
+    Comment.find(rootFilter)
+      .sort({ createdAt: 1, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("user", "name"),
+    Comment.countDocuments(rootFilter),
+  ]);
+
+  // Replies below this page's comments, one level at a time
+  const comments = [...roots];
+  let level = roots;
+  while (level.length) {
+    level = await Comment.find({
+      parent: { $in: level.map((comment) => comment._id) },
+      ...ACTIVE_COMMENT,
+    })
+      .sort({ createdAt: 1, _id: 1 })
+      .populate("user", "name");
+    comments.push(...level);
+  }
+
+  const byParent = new Map();
+  for (const comment of await withLikes(comments)) {
+    const key = idOf(comment.parent);
+    if (!byParent.has(key)) byParent.set(key, []);
+    byParent.get(key).push(comment);
+  }
+
+  const toNode = (comment) => {
+    const children = byParent.get(idOf(comment._id)) || [];
+    return {
+      ...comment,
+      replyCount: children.length,
+      replies: children.map(toNode),
+    };
+  };
+
+  return {
+    comments: (byParent.get(idOf(parentId)) || []).map(toNode),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      hasMore: page * limit < total,
+    },
+  };
+};
+
+module.exports = {
+  MAX_COMMENT_DEPTH,
+  ACTIVE_COMMENT,
+  adjustCommentsCount,
+  descendantIds,
+  findActiveComment,
+  createComment,
+  listComments,
+  softDeleteComments,
+  restoreComments,
+  setCommentHidden,
+  removeComments,
+  parseThreadOptions,
+  loadThread,
+};
@@ -0,0 +1,92 @@
+// Errors a route can throw (or pass to next) to send a specific response.
+// The error handler in middleware/errorHandler.js turns them into
+//   { message, code, details? }
+// with `status` as the HTTP status. Anything else becomes a 500.
+class AppError extends Error {
+  constructor(
+    message,
+    { status = 500, code = "INTERNAL_ERROR", details } = {}
+  ) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    // Extra information for the client, e.g. field errors
+    this.details = details;
+  }
+}
+
+// The request is malformed. `details` lists the fields at fault as
+// [{ location, field, message }].
+class ValidationError extends AppError {
+  constructor(message = "Invalid request", details) {
+    super(message, { status: 400, code: "VALIDATION_ERROR", details });
+  }
+}
+
+// The request is well-formed but cannot be carried out as asked
+class BadRequestError extends AppError {
+  constructor(message = "Bad request", details) {
+    super(message, { status: 400, code: "BAD_REQUEST", details });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = "Authentication required", details) {
+    super(message, { status: 401, code: "UNAUTHORIZED", details });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = "Access denied", details) {
+    super(message, { status: 403, code: "FORBIDDEN", details });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = "Not found", details) {
+    super(message, { status: 404, code: "NOT_FOUND", details });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = "Conflict", details) {
+    super(message, { status: 409, code: "CONFLICT", details });
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  constructor(message = "Too many requests", details) {
+    super(message, { status: 429, code: "RATE_LIMITED", details });
+  }
+}
+
+const STATUS_ERRORS = {
+  400: BadRequestError,
+  401: UnauthorizedError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  409: ConflictError,
+  429: TooManyRequestsError,
+};
+
+// The error for a status, for helpers that report failures as
+// { status, error }
+const errorForStatus = (status, message, details) => {
+  const StatusError = STATUS_ERRORS[status];
+  return StatusError
+    ? new StatusError(message, details)
+    : new AppError(message, { status, details });
+};
+
+module.exports = {
+  AppError,
+  ValidationError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  errorForStatus,
+};
@@ -0,0 +1,88 @@
+// Likes on posts and comments. Each like is a Like document; the likesCount
+// counters on Blog and Comment are moved with atomic $inc updates, so
+// concurrent likes never overwrite each other.
+const Blog = require("../models/Blog");
+const Comment = require("../models/Comment");
+const Like = require("../models/Like");
+
+const targetOf = (blog, comment) => ({
+  blog: blog._id,
+  comment: comment ? comment._id : null,
+});
+
+// Like a post (or one of its comments) or take the like back. Resolves
+// { liked, likesCount }.
+const toggleLike = async (user, blog, comment = null) => {
+  const like = { ...targetOf(blog, comment), user: user._id };
+
+  let liked = false;
+  let delta = 0;
+  if ((await Like.deleteOne(like)).deletedCount) {
+    delta = -1;
+  } else {
+    liked = true;
+    try {
+      await Like.create(like);
+      delta = 1;
+    } catch (error) {
+      // A concurrent request added the same like; it was counted there
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const Model = comment ? Comment : Blog;
+  const updated = await Model.findByIdAndUpdate(
+    (comment || blog)._id,
+    { $inc: { likesCount: delta } },
+    { new: true, projection: { likesCount: 1 } }
+  );
+  return { liked, likesCount: updated ? updated.likesCount : 0 };
+};
+
+// Ids of the users who like a post (or one of its comments)
+const likerIds = (blog, comment = null) =>
+  Like.distinct("user", targetOf(blog, comment));
+
+// Comments as JSON with the `likes` array of user ids they used to embed
+const withLikes = async (comments) => {
+  const likes = await Like.find({
+    comment: { $in: comments.map((comment) => comment._id) },
+  })
+    .select("user comment")
+    .lean();
+
+  const byComment = new Map();
+  for (const like of likes) {
+    const key = like.comment.toString();
+    if (!byComment.has(key)) byComment.set(key, []);
+    byComment.get(key).push(like.user);
+  }
+  return comments.map((comment) => ({
+    ...comment.toJSON(),
+    likes: byComment.get(comment._id.toString()) || [],
+  }));
+};
+
+// Remove every like a user gave and take them off the counters. A user
+// likes a target at most once, so each target goes down by exactly one.
+// Resolves the number of likes removed.
+const removeUserLikes = async (userId) => {
+  const likes = await Like.find({ user: userId }).select("blog comment").lean();
+  if (!likes.length) return 0;
+
+  const blogIds = likes.filter((like) => !like.comment).map((l) => l.blog);
+  const commentIds = likes.filter((like) => like.comment).map((l) => l.comment);
+  await Blog.updateMany(
+    { _id: { $in: blogIds } },
+    { $inc: { likesCount: -1 } },
+    { withDeleted: true }
+  );
+  await Comment.updateMany(
+    { _id: { $in: commentIds } },
+    { $inc: { likesCount: -1 } }
+  );
+  await Like.deleteMany({ user: userId });
+  return likes.length;
+};
+
+module.exports = { toggleLike, likerIds, withLikes, removeUserLikes };
@@ -0,0 +1,84 @@
+// Structured logging: every entry is one JSON line on stdout, e.g.
+//   {"time":"...","level":"info","msg":"Request","requestId":"...",...}
+// Entries written while a request is handled carry its id (set up by
+// middleware/requestContext.js), however deep in the code they come from.
+// LOG_LEVEL is the lowest level written: debug, info (default), warn or
+// error. Passwords, tokens, cookies and similar fields are redacted wherever
+// they appear in the logged fields.
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_LEVEL = "info";
+
+const REDACTED = "[REDACTED]";
+const SENSITIVE_KEY =
+  /password|passwd|^pass$|token|secret|cookie|authorization|api[-_]?key/i;
+const MAX_DEPTH = 8;
+
+// Holds { requestId } for the request being handled
+const context = new AsyncLocalStorage();
+
+const threshold = () =>
+  LEVELS[(process.env.LOG_LEVEL || "").toLowerCase()] || LEVELS[DEFAULT_LEVEL];
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  stack: error.stack,
+});
+
+// A copy of `value` that is safe to log: sensitive fields are replaced,
+// errors, dates and ids become plain values and cycles are cut.
+const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (value === null || typeof value !== "object") return value;
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (typeof value.toHexString === "function") return value.toHexString();
+  if (seen.has(value)) return "[Circular]";
+  if (depth >= MAX_DEPTH) return "[Truncated]";
+  seen.add(value);
+
+  // Mongoose documents log as their plain fields
+  const plain = typeof value.toObject === "function" ? value.toObject() : value;
+  if (Array.isArray(plain)) {
+    return plain.map((item) => redact(item, depth + 1, seen));
+  }
+  const copy = {};
+  for (const [key, item] of Object.entries(plain)) {
+    copy[key] = SENSITIVE_KEY.test(key)
+      ? REDACTED
+      : redact(item, depth + 1, seen);
+  }
+  return copy;
+};
+
+const write = (level, msg, fields = {}) => {
+  if (LEVELS[level] < threshold()) return;
+  const store = context.getStore();
+  const base = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(store && { requestId: store.requestId }),
+  };
+  let line;
+  try {
+    line = JSON.stringify({ ...base, ...redact(fields) });
+  } catch (error) {
+    // e.g. a BigInt in the fields; the message still gets through
+    line = JSON.stringify({ ...base, logError: error.message });
+  }
+  process.stdout.write(`${line}\n`);
+};
+
+// logger.info("Message", { any: "fields" }). Pass errors as `error`.
+const logger = Object.fromEntries(
+  Object.keys(LEVELS).map((level) => [
+    level,
+    (msg, fields) => write(level, msg, fields),
+  ])
+);
+
+module.exports = { logger, context, redact };
@@ -0,0 +1,87 @@
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+const { logger } = require("./logger");
+
+// Transports share one interface: send({ from, to, subject, text, html })
+
+// Real delivery through an SMTP server
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+  return { send: (message) => transporter.sendMail(message) };
+};
+
+// Log messages instead of sending them, for local development. Each one is
+// a single structured log line (with its links) marked as undelivered.
+const createConsoleTransport = () => ({
+  send: async (message) => {
+    const messageId = `console-${Date.now()}`;
+    logger.info("Dev email (console transport, not delivered)", {
+      messageId,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+    });
+    return { messageId };
+  },
+});
+
+// Write each message to MAIL_DIR as JSON, for tests and offline use
+const createFileTransport = () => {
+  const dir = path.resolve(process.env.MAIL_DIR || "mail-outbox");
+  return {
+    send: async (message) => {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const messageId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+      await fs.promises.writeFile(
+        path.join(dir, `${messageId}.json`),
+        JSON.stringify({ ...message, date: new Date() }, null, 2)
+      );
+      return { messageId };
+    },
+  };
+};
+
+const transports = {
+  smtp: createSmtpTransport,
+  console: createConsoleTransport,
+  file: createFileTransport,
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name =
+      process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === "production" ? "smtp" : "console");
+    if (!transports[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+// Swap the active transport, e.g. for a custom backend or in tests
+const setTransport = (custom) => {
+  transport = custom;
+};
+
+const sendMail = ({ to, subject, text, html }) =>
+  getTransport().send({
+    from: process.env.MAIL_FROM || "Him Learning <no-reply@him-learning.com>",
+    to,
+    subject,
+    text,
+    html,
+  });
+
+module.exports = { sendMail, setTransport };
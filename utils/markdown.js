@@ -0,0 +1,132 @@
+const { marked } = require("marked");
+const hljs = require("highlight.js");
+const sanitizeHtml = require("sanitize-html");
+
+const WORDS_PER_MINUTE = 200;
+
+// What rendered blog bodies may contain. Highlighting and heading anchors
+// need class and id attributes; everything else is stripped.
+const BLOG_SANITIZE_OPTIONS = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat([
+    "img",
+    "h1",
+    "h2",
+    "del",
+    "input",
+  ]),
+  allowedAttributes: {
+    a: ["href", "title", "name", "target", "rel"],
+    img: ["src", "alt", "title", "width", "height"],
+    code: ["class"],
+    span: ["class"],
+    pre: ["class"],
+    th: ["align"],
+    td: ["align"],
+    input: ["type", "checked", "disabled"],
+    h1: ["id"],
+    h2: ["id"],
+    h3: ["id"],
+    h4: ["id"],
+    h5: ["id"],
+    h6: ["id"],
+  },
+  allowedClasses: {
+    code: [/^language-/, "hljs"],
+    span: [/^hljs-/],
+    pre: ["hljs"],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["http", "https", "data"] },
+  transformTags: {
+    a: sanitizeHtml.simpleTransform("a", { rel: "noopener noreferrer" }),
+    // Only task-list checkboxes survive, and never as an editable control
+    input: (tagName, attribs) =>
+      attribs.type === "checkbox"
+        ? {
+            tagName,
+            attribs: {
+              type: "checkbox",
+              disabled: "",
+              ...(attribs.checked !== undefined && { checked: "" }),
+            },
+          }
+        : { tagName: "span", attribs: {} },
+  },
+};
+
+// Comments are plain text with a little inline formatting
+const COMMENT_SANITIZE_OPTIONS = {
+  allowedTags: ["b", "i", "em", "strong", "code", "a", "br"],
+  allowedAttributes: { a: ["href"] },
+  allowedSchemes: ["http", "https", "mailto"],
+  transformTags: {
+    a: sanitizeHtml.simpleTransform("a", { rel: "noopener noreferrer" }),
+  },
+};
+
+const slugify = (text) =>
+  text
+    .toLowerCase()
+    .replace(/<[^>]*>/g, "")
+    .replace(/&[a-z0-9#]+;/g, "")
+    .replace(/[^\w\s-]/g, "")
+    .trim()
+    .replace(/\s+/g, "-");
+
+const plainText = (html) =>
+  sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} });
+
+// Render a Markdown blog body to sanitized HTML, and collect its table of
+// contents and reading-time estimate.
+const renderMarkdown = (source = "") => {
+  const toc = [];
+  const usedIds = new Map();
+
+  const renderer = new marked.Renderer();
+  renderer.heading = (text, level) => {
+    const base = slugify(text) || "section";
+    const count = usedIds.get(base) || 0;
+    usedIds.set(base, count + 1);
+    const id = count ? `${base}-${count}` : base;
+    toc.push({ level, text: plainText(text), id });
+    return `<h${level} id="${id}">${text}</h${level}>\n`;
+  };
+  renderer.code = (code, infostring) => {
+    const lang = (infostring || "").trim().split(/\s+/)[0];
+    const highlighted =
+      lang && hljs.getLanguage(lang)
+        ? hljs.highlight(code, { language: lang, ignoreIllegals: true }).value
+        : hljs.highlightAuto(code).value;
+    const langClass = lang ? ` language-${lang.replace(/[^\w-]/g, "")}` : "";
+    return `<pre><code class="hljs${langClass}">${highlighted}</code></pre>\n`;
+  };
+
+  const rawHtml = marked.parse(source, { renderer, gfm: true });
+  const html = sanitizeHtml(rawHtml, BLOG_SANITIZE_OPTIONS);
+
+  const wordCount = plainText(html).split(/\s+/).filter(Boolean).length;
+  return {
+    html,
+    toc,
+    wordCount,
+    readingTime: Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE)),
+  };
+};
+
+const sanitizeComment = (content) =>
+  sanitizeHtml(content, COMMENT_SANITIZE_OPTIONS).trim();
+
+// The only entities sanitize-html writes into text
+const TEXT_ENTITIES = { "&amp;": "&", "&lt;": "<", "&gt;": ">", "&quot;": '"' };
+
+// Readable text of HTML we sanitized ourselves, e.g. a stored comment: tags
+// become spaces and entities are decoded, so it must be escaped again before
+// it goes back into HTML.
+const htmlToText = (html) =>
+  html
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&(amp|lt|gt|quot);/g, (entity) => TEXT_ENTITIES[entity])
+    .replace(/\s+/g, " ")
+    .trim();
+
+module.exports = { renderMarkdown, sanitizeComment, htmlToText };
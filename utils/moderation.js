@@ -0,0 +1,162 @@
+// User reports, automatic hiding and the moderation actions reviewers take
+// on reported blogs and comments. Also the banned-word filter for comments.
+const Blog = require("../models/Blog");
+const Comment = require("../models/Comment");
+const Report = require("../models/Report");
+const { softDeleteComments, setCommentHidden } = require("./comments");
+
+const REPORT_REASONS = Report.schema.path("reason").enumValues;
+const REPORT_ACTIONS = ["dismiss", "hide", "remove"];
+const DEFAULT_HIDE_THRESHOLD = 3;
+
+// Open reports from this many different users hide the content until a
+// moderator reviews it (REPORT_HIDE_THRESHOLD, 0 turns auto-hiding off)
+const hideThreshold = () => {
+  const threshold = parseInt(process.env.REPORT_HIDE_THRESHOLD, 10);
+  return threshold >= 0 ? threshold : DEFAULT_HIDE_THRESHOLD;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// BANNED_WORDS is a comma-separated list, matched case-insensitively as
+// whole words
+const bannedWordsPattern = () => {
+  const words = (process.env.BANNED_WORDS || "")
+    .split(",")
+    .map((word) => word.trim())
+    .filter(Boolean);
+  if (!words.length) return null;
+  return new RegExp(`\\b(${words.map(escapeRegExp).join("|")})\\b`, "gi");
+};
+
+// Banned words found in the text (lowercased, without duplicates)
+const findBannedWords = (text) => {
+  const pattern = bannedWordsPattern();
+  if (!pattern) return [];
+  const found = (text.match(pattern) || []).map((word) => word.toLowerCase());
+  return [...new Set(found)];
+};
+
+const targetFilter = (blogId, commentId) => ({
+  blog: blogId,
+  comment: commentId || null,
+});
+
+// Hide the blog, or the comment when given, or show it again
+const setHidden = async (blog, comment, hidden, reason = null) => {
+  if (comment) return setCommentHidden(comment, hidden, reason);
+  blog.hiddenAt = hidden ? new Date() : null;
+  blog.hiddenReason = hidden ? reason : null;
+  await blog.save();
+};
+
+// File a report against a blog or one of its comments and hide the content
+// once enough users have reported it. Returns { report, hidden } or
+// { error, status }.
+const fileReport = async ({ blog, comment, reporter, reason, details }) => {
+  if (!REPORT_REASONS.includes(reason)) {
+    return {
+      status: 400,
+      error: `Reason must be one of: ${REPORT_REASONS.join(", ")}`,
+    };
+  }
+
+  const target = comment || blog;
+  const ownerId = comment ? comment.user : blog.author;
+  if ((ownerId._id || ownerId).toString() === reporter._id.toString()) {
+    return { status: 400, error: "You cannot report your own content" };
+  }
+
+  const filter = targetFilter(blog._id, comment && comment._id);
+  const existing = await Report.findOne({
+    ...filter,
+    reporter: reporter._id,
+    status: "open",
+  });
+  if (existing) {
+    return { status: 409, error: "You have already reported this" };
+  }
+
+  const report = await Report.create({
+    ...filter,
+    targetType: comment ? "comment" : "blog",
+    reporter: reporter._id,
+    reason,
+    details,
+  });
+
+  const threshold = hideThreshold();
+  let hidden = false;
+  if (threshold > 0 && !target.hiddenAt) {
+    const reporters = await Report.distinct("reporter", {
+      ...filter,
+      status: "open",
+    });
+    if (reporters.length >= threshold) {
+      await setHidden(blog, comment, true, "reports");
+      hidden = true;
+    }
+  }
+
+  return { report, hidden };
+};
+
+// Apply a reviewer's decision to the reported content and close every open
+// report on it. Returns { blog, comment, reports } or { error, status }.
+//   dismiss  close the reports; content hidden by reports becomes visible
+//   hide     hide the content until it is dismissed
+//   remove   move the content to the trash
+const resolveReport = async (report, { action, notes = "", reviewer }) => {
+  if (!REPORT_ACTIONS.includes(action)) {
+    return {
+      status: 400,
+      error: `Action must be one of: ${REPORT_ACTIONS.join(", ")}`,
+    };
+  }
+  if (report.status !== "open") {
+    return { status: 409, error: "Report has already been reviewed" };
+  }
+
+  const blog = await Blog.findById(report.blog);
+  const comment =
+    blog && report.comment
+      ? await Comment.findOne({ _id: report.comment, blog: blog._id })
+      : null;
+  if (!blog || (report.comment && (!comment || comment.deletedAt))) {
+    return { status: 404, error: "Reported content no longer exists" };
+  }
+  const target = comment || blog;
+
+  if (action === "dismiss") {
+    if (target.hiddenReason === "reports") {
+      await setHidden(blog, comment, false);
+    }
+  } else if (action === "hide") {
+    if (!target.hiddenAt) await setHidden(blog, comment, true, "moderator");
+  } else if (comment) {
+    await softDeleteComments(comment, reviewer);
+  } else {
+    await blog.softDelete(reviewer);
+  }
+
+  const status = { dismiss: "dismissed", hide: "hidden", remove: "removed" };
+  const closed = await Report.updateMany(
+    { ...targetFilter(report.blog, report.comment), status: "open" },
+    {
+      status: status[action],
+      reviewedBy: reviewer._id,
+      reviewedAt: new Date(),
+      reviewerNotes: notes,
+    }
+  );
+
+  return { blog, comment, reports: closed.modifiedCount };
+};
+
+module.exports = {
+  REPORT_REASONS,
+  REPORT_ACTIONS,
+  findBannedWords,
+  fileReport,
+  resolveReport,
+};
@@ -0,0 +1,163 @@
+// In-app notifications and the Server-Sent Events channel that pushes them.
+// Open streams live in this process, so with several server instances a
+// client only receives pushes from the instance it is connected to (the
+// list endpoint always has everything).
+const Notification = require("../models/Notification");
+const User = require("../models/User");
+const { findActiveSession } = require("./session");
+const { accountBlock } = require("./accountStatus");
+const { logger } = require("./logger");
+
+const PREVIEW_LENGTH = 140;
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// Notification type -> preference that turns it off
+const PREFERENCE_FOR = {
+  like: "likes",
+  comment: "comments",
+  reply: "replies",
+  "comment-like": "commentLikes",
+};
+const PREFERENCE_KEYS = Object.values(PREFERENCE_FOR);
+
+// userId -> Set of open SSE responses
+const streams = new Map();
+
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const unreadCount = (userId) =>
+  Notification.countDocuments({ recipient: userId, readAt: null });
+
+// Send an event to every open stream of a user
+const publish = (userId, event, data) => {
+  for (const res of streams.get(userId.toString()) || []) {
+    sendEvent(res, event, data);
+  }
+};
+
+const publishUnreadCount = async (userId) => {
+  if (!streams.has(userId.toString())) return;
+  publish(userId, "unread-count", { unreadCount: await unreadCount(userId) });
+};
+
+// Whether a stream may stay open: its access token has not expired, its
+// session has not been revoked and the account is still allowed in
+const streamAllowed = async ({ userId, sessionId, expiresAt }) => {
+  if (Date.now() >= expiresAt.getTime()) return false;
+  const session = await findActiveSession(sessionId);
+  if (!session || session.user.toString() !== userId.toString()) return false;
+  const user = await User.findById(userId).select(
+    "status suspendedUntil statusReason"
+  );
+  return Boolean(user) && !accountBlock(user);
+};
+
+// Turn the response into an event stream for the signed-in user. Sends the
+// unread count straight away, then a "notification" event for each new one.
+// The stream is re-authorized on every heartbeat and ends with an
+// "unauthorized" event once the access token expires or the session, or the
+// account, is no longer active; the client then refreshes and reconnects.
+const openStream = async (res, { userId, sessionId, expiresAt }) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    // Stop proxies such as nginx from buffering the stream
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const key = userId.toString();
+  if (!streams.has(key)) streams.set(key, new Set());
+  streams.get(key).add(res);
+
+  // Comment lines keep idle connections from being closed by proxies
+  const heartbeat = setInterval(async () => {
+    try {
+      const allowed = await streamAllowed({ userId, sessionId, expiresAt });
+      // The client may have gone while the check ran
+      if (res.writableEnded) return;
+      if (!allowed) {
+        sendEvent(res, "unauthorized", { message: "Session expired" });
+        return res.end();
+      }
+    } catch (error) {
+      // Keep the stream; the next heartbeat checks again
+      logger.error("Notification stream check error", { error });
+    }
+    if (!res.writableEnded) res.write(": ping\n\n");
+  }, HEARTBEAT_INTERVAL);
+
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    const userStreams = streams.get(key);
+    if (!userStreams) return;
+    userStreams.delete(res);
+    if (!userStreams.size) streams.delete(key);
+  });
+
+  sendEvent(res, "unread-count", { unreadCount: await unreadCount(userId) });
+};
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Notify the owner of a post or comment about someone else's action.
+// Respects the recipient's preferences, sends a like only once per actor
+// and target, and never throws: a notification must not fail the action.
+const notify = async ({ recipient, actor, type, blog, comment = null }) => {
+  try {
+    const recipientId = idOf(recipient);
+    if (!recipientId || recipientId.toString() === actor._id.toString()) {
+      return null;
+    }
+
+    const user = await User.findById(recipientId).select(
+      "notificationPreferences"
+    );
+    const preferences = user && user.notificationPreferences;
+    if (!user || (preferences && preferences[PREFERENCE_FOR[type]] === false)) {
+      return null;
+    }
+
+    const target = {
+      recipient: recipientId,
+      actor: actor._id,
+      type,
+      blog: blog._id,
+      comment: comment ? comment._id : null,
+    };
+    // Unlike and like again should not notify twice
+    if (type === "like" || type === "comment-like") {
+      if (await Notification.exists(target)) return null;
+    }
+
+    const notification = await Notification.create({
+      ...target,
+      actorName: actor.name,
+      blogTitle: blog.title,
+      preview:
+        comment && type !== "comment-like"
+          ? comment.content.slice(0, PREVIEW_LENGTH)
+          : "",
+    });
+
+    if (streams.has(recipientId.toString())) {
+      publish(recipientId, "notification", notification);
+      await publishUnreadCount(recipientId);
+    }
+    return notification;
+  } catch (error) {
+    logger.error("Notification error", { type, error });
+    return null;
+  }
+};
+
+module.exports = {
+  PREFERENCE_KEYS,
+  unreadCount,
+  publishUnreadCount,
+  openStream,
+  notify,
+};
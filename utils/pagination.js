@@ -0,0 +1,20 @@
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// validate() rules for ?page and ?limit
+const PAGE_QUERY = {
+  page: { type: "integer", min: 1 },
+  limit: { type: "integer", min: 1 },
+};
+
+// Page options from ?page and ?limit already checked against PAGE_QUERY. A
+// limit above `maxLimit` is capped rather than refused.
+const parsePageOptions = (
+  query,
+  { defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT } = {}
+) => ({
+  page: query.page || 1,
+  limit: Math.min(query.limit || defaultLimit, maxLimit),
+});
+
+module.exports = { PAGE_QUERY, parsePageOptions };
@@ -0,0 +1,64 @@
+// Role -> permission map. Roles are stored on each User document; this is
+// the single place that decides what each role may do.
+const PERMISSIONS = [
+  "admin:access", // sign in to and use the admin dashboard
+  "blogs:read:any", // view any post, including other authors' drafts
+  "blogs:edit:any", // edit, publish and restore any post
+  "blogs:delete:any",
+  "categories:manage",
+  "paths:manage", // create and curate learning paths
+  "comments:edit:any",
+  "comments:delete:any",
+  "reports:review", // work the moderation queue
+  "users:read",
+  "users:edit", // change a user's name/email or reset their password
+  "users:delete",
+  "users:suspend", // suspend or ban accounts
+  "users:manage-roles",
+  "stats:read",
+  "maintenance:run", // cleanup and reconciliation jobs
+  "audit:read", // view and export the audit log
+];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  editor: [
+    "admin:access",
+    "blogs:read:any",
+    "blogs:edit:any",
+    "categories:manage",
+    "paths:manage",
+    "stats:read",
+  ],
+  moderator: [
+    "admin:access",
+    "blogs:read:any",
+    "blogs:delete:any",
+    "comments:edit:any",
+    "comments:delete:any",
+    "reports:review",
+    "users:read",
+    "users:suspend",
+    "stats:read",
+  ],
+  admin: PERMISSIONS,
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const hasPermission = (user, permission) =>
+  !!user && (ROLE_PERMISSIONS[user.role] || []).includes(permission);
+
+// True when the user owns the resource or holds the given permission
+const isOwnerOr = (ownerId, user, permission) =>
+  !!user &&
+  ((ownerId._id || ownerId).toString() === user._id.toString() ||
+    hasPermission(user, permission));
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ROLES,
+  hasPermission,
+  isOwnerOr,
+};
@@ -0,0 +1,163 @@
+const RateLimitBucket = require("../models/RateLimitBucket");
+
+// Fixed-window rate limiting. Each policy allows `limit` requests per
+// `windowMs`, counted per client IP or per signed-in user (`keyBy: "user"`
+// falls back to the IP for anonymous requests).
+const POLICIES = {
+  login: { limit: 10, windowMs: 15 * 60 * 1000, keyBy: "ip" },
+  signup: { limit: 5, windowMs: 60 * 60 * 1000, keyBy: "ip" },
+  comment: { limit: 10, windowMs: 60 * 1000, keyBy: "user" },
+  like: { limit: 60, windowMs: 60 * 1000, keyBy: "user" },
+};
+
+// Stores share one interface:
+//   increment(key, windowMs)  count a request, resolves { count, resetAt }
+//   reset(key)                forget a key's count
+//   list()                    active counters, [{ key, count, resetAt }]
+
+// Counters in this process only; fine for a single server
+const createMemoryStore = () => {
+  const buckets = new Map();
+
+  // Drop expired buckets now and then so the map cannot grow without bound
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (bucket.resetAt.getTime() <= now) buckets.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let bucket = buckets.get(key);
+      if (!bucket || bucket.resetAt.getTime() <= now) {
+        bucket = { count: 0, resetAt: new Date(now + windowMs) };
+        buckets.set(key, bucket);
+      }
+      bucket.count += 1;
+      return { ...bucket };
+    },
+    reset: async (key) => {
+      buckets.delete(key);
+    },
+    list: async () => {
+      const now = Date.now();
+      return [...buckets]
+        .filter(([, bucket]) => bucket.resetAt.getTime() > now)
+        .map(([key, bucket]) => ({ key, ...bucket }));
+    },
+  };
+};
+
+// Counters in MongoDB, shared by every server instance
+const createMongoStore = () => ({
+  increment: async (key, windowMs) => {
+    const now = new Date();
+    const current = { $gt: ["$resetAt", now] };
+    const update = [
+      {
+        $set: {
+          count: { $cond: [current, { $add: ["$count", 1] }, 1] },
+          resetAt: {
+            $cond: [current, "$resetAt", new Date(now.getTime() + windowMs)],
+          },
+        },
+      },
+    ];
+    const options = { upsert: true, new: true };
+    try {
+      return await RateLimitBucket.findOneAndUpdate({ key }, update, options);
+    } catch (error) {
+      // Two first requests raced to create the bucket; the retry updates it
+      if (error.code !== 11000) throw error;
+      return RateLimitBucket.findOneAndUpdate({ key }, update, options);
+    }
+  },
+  reset: async (key) => {
+    await RateLimitBucket.deleteOne({ key });
+  },
+  list: () =>
+    RateLimitBucket.find({ resetAt: { $gt: new Date() } })
+      .select("-_id key count resetAt")
+      .lean(),
+});
+
+const stores = {
+  memory: createMemoryStore,
+  mongo: createMongoStore,
+};
+
+let store = null;
+let storeName = null;
+
+const getStore = () => {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || "memory";
+    if (!stores[name]) {
+      throw new Error(`Unknown RATE_LIMIT_STORE "${name}"`);
+    }
+    store = stores[name]();
+    storeName = name;
+  }
+  return store;
+};
+
+// Swap the active store, e.g. for a Redis backend or in tests
+const setStore = (custom, name = "custom") => {
+  store = custom;
+  storeName = name;
+};
+
+const isEnabled = () => process.env.RATE_LIMIT_ENABLED !== "false";
+
+// Count a request against a policy. Resolves { limit, remaining, resetAt,
+// limited } where limited is true once the limit has been exceeded.
+const hit = async (policyName, clientKey) => {
+  const policy = POLICIES[policyName];
+  const { count, resetAt } = await getStore().increment(
+    `${policyName}:${clientKey}`,
+    policy.windowMs
+  );
+  return {
+    limit: policy.limit,
+    remaining: Math.max(0, policy.limit - count),
+    resetAt,
+    limited: count > policy.limit,
+  };
+};
+
+// Clear one client's counter for a policy, e.g. ("login", "ip:127.0.0.1")
+const resetLimit = (policyName, clientKey) =>
+  getStore().reset(`${policyName}:${clientKey}`);
+
+// Configured policies and the counters currently in the store
+const describeLimits = async () => {
+  const counters = await getStore().list();
+  return {
+    enabled: isEnabled(),
+    store: storeName,
+    policies: Object.entries(POLICIES).map(([name, policy]) => ({
+      name,
+      ...policy,
+      active: counters
+        .filter((counter) => counter.key.startsWith(`${name}:`))
+        .map((counter) => ({
+          client: counter.key.slice(name.length + 1),
+          count: counter.count,
+          remaining: Math.max(0, policy.limit - counter.count),
+          resetAt: counter.resetAt,
+        })),
+    })),
+  };
+};
+
+module.exports = {
+  POLICIES,
+  hit,
+  isEnabled,
+  setStore,
+  resetLimit,
+  describeLimits,
+};
@@ -0,0 +1,73 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Blog = require("../models/Blog");
+const Bookmark = require("../models/Bookmark");
+const ReadingList = require("../models/ReadingList");
+const { publishedFilter } = require("./blogQuery");
+
+const MAX_LIST_ITEMS = 200;
+const VISIBILITIES = ["private", "public"];
+
+// Blog fields shown for bookmarks and list entries
+const ENTRY_FIELDS = "title image authorName tags category createdAt";
+
+const generateShareId = () => crypto.randomBytes(12).toString("base64url");
+
+// A published blog that can be saved, or null
+const findSavableBlog = (id) =>
+  mongoose.Types.ObjectId.isValid(id)
+    ? Blog.findOne({ _id: id, ...publishedFilter }).select("_id")
+    : null;
+
+// Check a full new order of a list's entries. It must name every current
+// entry exactly once. Returns { items } (the reordered entries) or { error }.
+const reorderItems = (items, ids) => {
+  if (!Array.isArray(ids)) return { error: "blogs must be an array of ids" };
+  const byBlog = new Map(items.map((item) => [item.blog.toString(), item]));
+  const unique = new Set(ids.map(String));
+  if (
+    unique.size !== ids.length ||
+    ids.length !== items.length ||
+    !ids.every((id) => byBlog.has(String(id)))
+  ) {
+    return { error: "blogs must list every entry of the list exactly once" };
+  }
+  return { items: ids.map((id) => byBlog.get(String(id))) };
+};
+
+// The list as JSON with its entries populated. Entries whose blog is no
+// longer published are left out, but stay in the list.
+const withEntries = async (list) => {
+  await list.populate({
+    path: "items.blog",
+    match: publishedFilter,
+    select: ENTRY_FIELDS,
+    populate: { path: "category", select: "name slug" },
+  });
+  const json = list.toJSON();
+  json.items = json.items.filter((item) => item.blog);
+  return json;
+};
+
+// Take purged blogs out of every reading list and bookmark. Blogs in the
+// trash keep their entries (populate hides them), so a restore brings them
+// back. Resolves the number of reading lists changed.
+const removeBlogsFromLists = async (blogIds) => {
+  const lists = await ReadingList.updateMany(
+    { "items.blog": { $in: blogIds } },
+    { $pull: { items: { blog: { $in: blogIds } } } }
+  );
+  await Bookmark.deleteMany({ blog: { $in: blogIds } });
+  return lists.modifiedCount;
+};
+
+module.exports = {
+  MAX_LIST_ITEMS,
+  VISIBILITIES,
+  ENTRY_FIELDS,
+  generateShareId,
+  findSavableBlog,
+  reorderItems,
+  withEntries,
+  removeBlogsFromLists,
+};
@@ -0,0 +1,147 @@
+const BlogRevision = require("../models/BlogRevision");
+
+// Blog fields captured in each revision snapshot
+const TRACKED_FIELDS = ["title", "description", "tags"];
+
+// Above this many line comparisons the diff falls back to remove-all/add-all
+const MAX_DIFF_CELLS = 4000000;
+
+const snapshotOf = (doc) => ({
+  title: doc.title,
+  description: doc.description,
+  tags: [...(doc.tags || [])],
+});
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const changedFieldsBetween = (before, after) =>
+  TRACKED_FIELDS.filter((field) => !isEqual(before[field], after[field]));
+
+const nextRevisionNumber = async (blogId) => {
+  const latest = await BlogRevision.findOne({ blog: blogId })
+    .sort({ revision: -1 })
+    .select("revision");
+  return latest ? latest.revision + 1 : 1;
+};
+
+// Record a snapshot of the blog's current tracked fields
+const recordRevision = async (
+  blog,
+  { editor, source, changedFields = [], restoredFrom = null }
+) =>
+  BlogRevision.create({
+    blog: blog._id,
+    revision: await nextRevisionNumber(blog._id),
+    ...snapshotOf(blog),
+    editor: editor._id,
+    editorName: editor.name,
+    source,
+    changedFields,
+    restoredFrom,
+  });
+
+// Posts created before revision history existed have no revisions. Store
+// their pre-edit content as revision 1 so the first edit can be rolled back.
+const ensureBaseline = async (blog, before) => {
+  if (await BlogRevision.exists({ blog: blog._id })) return;
+  await BlogRevision.create({
+    blog: blog._id,
+    revision: 1,
+    ...before,
+    editor: blog.author._id || blog.author,
+    editorName: blog.authorName,
+    source: "create",
+    createdAt: blog.createdAt,
+  });
+};
+
+// Save an edited blog and record a revision when a tracked field changed.
+// `before` is snapshotOf(blog) taken before the edit was applied.
+const saveWithRevision = async (
+  blog,
+  before,
+  { editor, source, restoredFrom = null }
+) => {
+  const changedFields = changedFieldsBetween(before, snapshotOf(blog));
+  if (!changedFields.length) {
+    await blog.save();
+    return null;
+  }
+
+  await ensureBaseline(blog, before);
+  await blog.save();
+  return recordRevision(blog, { editor, source, changedFields, restoredFrom });
+};
+
+// Line-based diff using a longest-common-subsequence table
+const diffLines = (from = "", to = "") => {
+  const a = from.split("\n");
+  const b = to.split("\n");
+
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...a.map((value) => ({ type: "removed", value })),
+      ...b.map((value) => ({ type: "added", value })),
+    ];
+  }
+
+  const lcs = Array.from(
+    { length: a.length + 1 },
+    () => new Uint32Array(b.length + 1)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      ops.push({ type: "unchanged", value: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: "removed", value: a[i++] });
+    } else {
+      ops.push({ type: "added", value: b[j++] });
+    }
+  }
+  while (i < a.length) ops.push({ type: "removed", value: a[i++] });
+  while (j < b.length) ops.push({ type: "added", value: b[j++] });
+  return ops;
+};
+
+// Compare two revisions field by field
+const diffRevisions = (from, to) => {
+  const changes = {};
+  for (const field of changedFieldsBetween(from, to)) {
+    if (field === "tags") {
+      changes.tags = {
+        added: to.tags.filter((t) => !from.tags.includes(t)),
+        removed: from.tags.filter((t) => !to.tags.includes(t)),
+      };
+    } else {
+      changes[field] = diffLines(from[field], to[field]);
+    }
+  }
+  return {
+    from: from.revision,
+    to: to.revision,
+    changedFields: Object.keys(changes),
+    changes,
+  };
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  snapshotOf,
+  recordRevision,
+  saveWithRevision,
+  diffRevisions,
+};
@@ -0,0 +1,54 @@
+const Blog = require("../models/Blog");
+const { purgeExpired } = require("./trash");
+const { rollupRange, startOfDay } = require("./analytics");
+const { logger } = require("./logger");
+
+const DEFAULT_INTERVAL = 60 * 1000; // 1 minute
+
+let timer = null;
+
+// Publish every scheduled post whose publishAt has passed
+const publishDuePosts = async (now = new Date()) => {
+  const result = await Blog.updateMany(
+    { status: "scheduled", publishAt: { $lte: now }, deletedAt: null },
+    [{ $set: { status: "published", publishedAt: "$publishAt" } }]
+  );
+  return result.modifiedCount;
+};
+
+const tick = async () => {
+  try {
+    const published = await publishDuePosts();
+    if (published > 0) {
+      logger.info("Scheduler published scheduled posts", { published });
+    }
+    // Finish yesterday's analytics rollup once the day is over
+    const yesterday = startOfDay(new Date(Date.now() - 24 * 60 * 60 * 1000));
+    await rollupRange(yesterday, yesterday);
+
+    const purged = await purgeExpired();
+    if (purged.users || purged.blogs || purged.comments) {
+      logger.info("Scheduler purged the trash", purged);
+    }
+  } catch (error) {
+    logger.error("Scheduler error", { error });
+  }
+};
+
+// Start the in-process scheduler (publishing, trash purging and analytics
+// rollups). Safe to call more than once.
+const startScheduler = (
+  interval = parseInt(process.env.SCHEDULER_INTERVAL_MS, 10) || DEFAULT_INTERVAL
+) => {
+  if (timer) return;
+  tick();
+  timer = setInterval(tick, interval);
+  timer.unref();
+};
+
+const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { publishDuePosts, startScheduler, stopScheduler };
@@ -0,0 +1,155 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const Session = require("../models/Session");
+
+const ACCESS_TOKEN_MINUTES =
+  parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES, 10) || 15;
+const REFRESH_TOKEN_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Only write lastSeenAt when it is older than this, to avoid a write per request
+const LAST_SEEN_INTERVAL = 60 * 1000; // 1 minute
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString("base64url");
+
+const cookieOptions = (maxAge, path = "/") => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "lax",
+  path,
+  maxAge,
+});
+
+// Short human-readable description of a user agent, e.g. "Chrome on Windows"
+const describeDevice = (userAgent = "") => {
+  const browsers = [
+    [/Edg\//, "Edge"],
+    [/OPR\/|Opera/, "Opera"],
+    [/Firefox\//, "Firefox"],
+    [/Chrome\//, "Chrome"],
+    [/Safari\//, "Safari"],
+    [/PostmanRuntime/, "Postman"],
+    [/curl\//, "curl"],
+  ];
+  const systems = [
+    [/Windows/, "Windows"],
+    [/Android/, "Android"],
+    [/iPhone|iPad|iPod/, "iOS"],
+    [/Mac OS X|Macintosh/, "macOS"],
+    [/Linux/, "Linux"],
+  ];
+  const browser = browsers.find(([pattern]) => pattern.test(userAgent));
+  const os = systems.find(([pattern]) => pattern.test(userAgent));
+  if (!browser && !os) return "Unknown device";
+  if (!os) return browser[1];
+  if (!browser) return os[1];
+  return `${browser[1]} on ${os[1]}`;
+};
+
+const setAuthCookies = (res, accessToken, refreshToken) => {
+  res.cookie("token", accessToken, cookieOptions(ACCESS_TOKEN_MINUTES * 60000));
+  res.cookie(
+    "refreshToken",
+    refreshToken,
+    cookieOptions(REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000, "/api/auth")
+  );
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie("token", { path: "/" });
+  res.clearCookie("refreshToken", { path: "/api/auth" });
+};
+
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_MINUTES * 60,
+  });
+
+// Create a server-side session for a freshly authenticated user and set the
+// access and refresh token cookies
+const startSession = async (req, res, user) => {
+  const refreshToken = generateRefreshToken();
+  const userAgent = req.get("user-agent") || "";
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  setAuthCookies(res, signAccessToken(user._id, session._id), refreshToken);
+  return session;
+};
+
+// Exchange the refresh token cookie for a new access/refresh token pair.
+// Presenting an already-rotated token revokes the session, since it means
+// the token was copied. Returns { session } or { error }.
+const rotateSession = async (req, res) => {
+  const refreshToken = req.cookies.refreshToken;
+  if (!refreshToken) return { error: "No refresh token provided" };
+
+  const tokenHash = hashToken(refreshToken);
+  const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+  if (!session) {
+    const reused = await Session.findOne({ previousTokenHash: tokenHash });
+    if (reused && !reused.revokedAt) {
+      reused.revokedAt = new Date();
+      await reused.save();
+    }
+    return { error: "Invalid refresh token" };
+  }
+  if (!session.isActive) return { error: "Session has expired" };
+
+  const nextToken = generateRefreshToken();
+  session.previousTokenHash = tokenHash;
+  session.refreshTokenHash = hashToken(nextToken);
+  session.lastSeenAt = new Date();
+  session.ip = req.ip;
+  await session.save();
+
+  setAuthCookies(res, signAccessToken(session.user, session._id), nextToken);
+  return { session };
+};
+
+// Look up the session behind an access token. Returns null when it has been
+// revoked or has expired.
+const findActiveSession = async (sessionId) => {
+  const session = await Session.findById(sessionId);
+  if (!session || !session.isActive) return null;
+
+  if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL) {
+    session.lastSeenAt = new Date();
+    await session.save();
+  }
+  return session;
+};
+
+const revokeSession = (sessionId, userId) =>
+  Session.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+// Revoke every session a user has, optionally keeping one (e.g. the current)
+const revokeAllSessions = (userId, { except } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+  return Session.updateMany(filter, { revokedAt: new Date() });
+};
+
+module.exports = {
+  hashToken,
+  describeDevice,
+  startSession,
+  rotateSession,
+  findActiveSession,
+  revokeSession,
+  revokeAllSessions,
+  clearAuthCookies,
+};
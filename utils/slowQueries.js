@@ -0,0 +1,80 @@
+// Mongoose plugin that logs database operations slower than
+// MONGO_SLOW_QUERY_MS (default 200 ms; 0 turns it off) with the model,
+// operation and filter. Register it globally before any model is compiled:
+//   mongoose.plugin(slowQueryPlugin);
+const { logger } = require("./logger");
+
+const DEFAULT_THRESHOLD_MS = 200;
+
+const QUERY_OPS = [
+  "count",
+  "countDocuments",
+  "deleteMany",
+  "deleteOne",
+  "distinct",
+  "estimatedDocumentCount",
+  "find",
+  "findOne",
+  "findOneAndDelete",
+  "findOneAndReplace",
+  "findOneAndUpdate",
+  "replaceOne",
+  "updateMany",
+  "updateOne",
+];
+
+const startedAt = Symbol("startedAt");
+
+const thresholdMs = () => {
+  const value = parseInt(process.env.MONGO_SLOW_QUERY_MS, 10);
+  return Number.isNaN(value) ? DEFAULT_THRESHOLD_MS : value;
+};
+
+const start = function () {
+  this[startedAt] = process.hrtime.bigint();
+};
+
+// Log the operation if it took longer than the threshold
+const report = (started, details) => {
+  const limit = thresholdMs();
+  if (!limit || !started) return;
+  const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+  if (durationMs < limit) return;
+  logger.warn("Slow query", {
+    ...details,
+    durationMs: Math.round(durationMs),
+  });
+};
+
+const slowQueryPlugin = (schema) => {
+  schema.pre(QUERY_OPS, start);
+  schema.post(QUERY_OPS, function () {
+    report(this[startedAt], {
+      model: this.model.modelName,
+      op: this.op,
+      filter: this.getFilter(),
+    });
+  });
+
+  schema.pre("aggregate", start);
+  schema.post("aggregate", function () {
+    report(this[startedAt], {
+      model: this.model().modelName,
+      op: "aggregate",
+      pipeline: this.pipeline(),
+    });
+  });
+
+  schema.pre("save", start);
+  schema.post("save", function () {
+    // Subdocuments are saved with their parent
+    if (this.$isSubdocument) return;
+    report(this[startedAt], {
+      model: this.constructor.modelName,
+      op: "save",
+      id: this._id,
+    });
+  });
+};
+
+module.exports = { slowQueryPlugin };
@@ -0,0 +1,67 @@
+// Mongoose plugin for soft deletes. Adds deletedAt/deletedBy and hides
+// soft-deleted documents from find, count, distinct, update and aggregate
+// queries. A query
+// sees them when its filter mentions deletedAt itself, or with
+// .setOptions({ withDeleted: true }) (aggregate: .option({ withDeleted: true })).
+
+const mongoose = require("mongoose");
+
+const FIND_HOOKS = [
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "countDocuments",
+  "count",
+  "distinct",
+  "updateOne",
+  "updateMany",
+];
+
+const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+  });
+  schema.index({ deletedAt: 1 });
+
+  for (const hook of FIND_HOOKS) {
+    schema.pre(hook, function () {
+      if (this.getOptions().withDeleted) return;
+      if ("deletedAt" in this.getFilter()) return;
+      this.where({ deletedAt: null });
+    });
+  }
+
+  schema.pre("aggregate", function () {
+    if (this.options.withDeleted) return;
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+    // $text and $geoNear must stay in the first stage, so merge into it
+    if (first && first.$match) {
+      if (!("deletedAt" in first.$match)) first.$match.deletedAt = null;
+    } else if (!(first && first.$geoNear)) {
+      pipeline.unshift({ $match: { deletedAt: null } });
+    }
+  });
+
+  schema.methods.softDelete = function (user, at = new Date()) {
+    this.deletedAt = at;
+    this.deletedBy = user ? user._id : null;
+    return this.save();
+  };
+
+  schema.methods.restore = function () {
+    this.deletedAt = null;
+    this.deletedBy = null;
+    return this.save();
+  };
+};
+
+module.exports = softDeletePlugin;
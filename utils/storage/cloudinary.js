@@ -0,0 +1,86 @@
+const cloudinary = require("cloudinary").v2;
+const { CloudinaryStorage } = require("multer-storage-cloudinary");
+const { IMAGE_EXTENSIONS } = require("./formats");
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+const PROVIDER = "cloudinary";
+
+const KINDS = {
+  blogs: {
+    folder: "him-learning/blogs",
+    transformation: [{ width: 800, height: 600, crop: "limit" }],
+  },
+  avatars: {
+    folder: "him-learning/avatars",
+    transformation: [
+      { width: 200, height: 200, crop: "thumb", gravity: "face" },
+    ],
+  },
+};
+
+// Multer storage engine that uploads straight to Cloudinary
+const createStorage = (kind) =>
+  new CloudinaryStorage({
+    cloudinary,
+    params: {
+      ...KINDS[kind],
+      allowed_formats: IMAGE_EXTENSIONS.map((ext) => ext.slice(1)),
+    },
+  });
+
+// Describe a file multer stored with createStorage
+const fromUpload = (file) => ({
+  url: file.path,
+  asset: { provider: PROVIDER, key: file.filename },
+});
+
+const remove = async (key) => {
+  await cloudinary.uploader.destroy(key);
+};
+
+// Every stored file of a kind, as [{ key, createdAt }]
+const list = async (kind) => {
+  const files = [];
+  let nextCursor;
+  do {
+    const page = await cloudinary.api.resources({
+      type: "upload",
+      prefix: `${KINDS[kind].folder}/`,
+      max_results: 500,
+      next_cursor: nextCursor,
+    });
+    page.resources.forEach((r) =>
+      files.push({ key: r.public_id, createdAt: new Date(r.created_at) })
+    );
+    nextCursor = page.next_cursor;
+  } while (nextCursor);
+  return files;
+};
+
+// Recover the public_id from a delivery URL, for records saved before assets
+// were tracked, e.g. .../image/upload/v123/him-learning/blogs/abc.jpg. Only
+// URLs of our own cloud count.
+const keyFromUrl = (value) => {
+  const cloudName = cloudinary.config().cloud_name;
+  if (!cloudName || typeof value !== "string") return null;
+  const match =
+    /^https?:\/\/res\.cloudinary\.com\/([^/]+)\/image\/upload\/(?:[^/]+\/)*?(?:v\d+\/)?(him-learning\/[^.]+)\.\w+$/.exec(
+      value
+    );
+  return match && match[1] === cloudName ? match[2] : null;
+};
+
+module.exports = {
+  PROVIDER,
+  cloudinary,
+  createStorage,
+  fromUpload,
+  remove,
+  list,
+  keyFromUrl,
+};
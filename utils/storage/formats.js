@@ -0,0 +1,13 @@
+// Image types accepted for upload, with the extension each is stored under.
+// The stored extension always comes from here, never from the client's file
+// name, so nothing but these images is ever served from storage.
+const IMAGE_TYPES = {
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+  "image/webp": ".webp",
+};
+
+// File name extensions accepted alongside those types
+const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".webp"];
+
+module.exports = { IMAGE_TYPES, IMAGE_EXTENSIONS };
@@ -0,0 +1,70 @@
+// Media storage. STORAGE_DRIVER picks where new uploads go ("cloudinary" by
+// default, or "local"); deletes always go to whichever backend stored the
+// asset, so switching drivers does not strand existing files.
+//
+// Each adapter exposes the same interface:
+//   createStorage(kind)     multer storage engine for "blogs" or "avatars"
+//   fromUpload(file)        { url, asset } for a file multer just stored
+//   remove(key)             delete a stored file
+//   list(kind)              every stored file of a kind, [{ key, createdAt }]
+//   keyFromUrl(url)         key for a URL this server's storage produced, or
+//                           null
+// where asset is { provider, key } and is saved next to the URL. Files are
+// only ever deleted by their tracked asset, never by a URL.
+const { logger } = require("../logger");
+
+const adapters = {
+  cloudinary: () => require("./cloudinary"),
+  local: () => require("./local"),
+};
+
+const getAdapter = (name) => {
+  if (!adapters[name]) throw new Error(`Unknown storage driver "${name}"`);
+  return adapters[name]();
+};
+
+// The adapter new uploads go to, and its name
+const activeDriver = () => {
+  const name = process.env.STORAGE_DRIVER || "cloudinary";
+  return { name, adapter: getAdapter(name) };
+};
+
+const driver = () => activeDriver().adapter;
+
+const multerStorage = (kind) => driver().createStorage(kind);
+
+const fromUpload = (file) => driver().fromUpload(file);
+
+// Work out which backend holds a URL saved before assets were tracked. Only
+// used to keep such files from being reported as orphans.
+const assetFromUrl = (url) => {
+  if (!url) return null;
+  for (const name of Object.keys(adapters)) {
+    const key = getAdapter(name).keyFromUrl(url);
+    if (key) return { provider: name, key };
+  }
+  return null;
+};
+
+// Delete a stored asset. Records without one (saved before assets were
+// tracked) are left to the orphan cleanup. Failures are logged rather than
+// thrown so a storage outage never blocks a delete.
+const deleteAsset = async (asset) => {
+  if (!asset || !asset.provider || !asset.key) return false;
+  try {
+    await getAdapter(asset.provider).remove(asset.key);
+    return true;
+  } catch (error) {
+    logger.error("Storage delete error", { asset, error });
+    return false;
+  }
+};
+
+module.exports = {
+  activeDriver,
+  multerStorage,
+  fromUpload,
+  assetFromUrl,
+  deleteAsset,
+  localRoot: () => require("./local").root,
+};
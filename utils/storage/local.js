@@ -0,0 +1,107 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const multer = require("multer");
+const { IMAGE_TYPES } = require("./formats");
+
+const PROVIDER = "local";
+
+// Served by server.js at /uploads
+const root = path.resolve(
+  process.env.UPLOADS_DIR || path.join(__dirname, "..", "..", "uploads")
+);
+
+const KINDS = ["blogs", "avatars"];
+
+const ensureDir = (dir) => fs.mkdirSync(dir, { recursive: true });
+
+const uniqueName = (ext) =>
+  `${Date.now()}-${crypto.randomBytes(6).toString("hex")}${ext}`;
+
+// Keys are paths relative to root, always with forward slashes
+const toKey = (filePath) =>
+  path.relative(root, filePath).split(path.sep).join("/");
+
+// Resolve a key to a path, refusing anything outside root
+const resolveKey = (key) => {
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+  return filePath;
+};
+
+// Multer storage engine that writes to <root>/<kind>/
+const createStorage = (kind) =>
+  multer.diskStorage({
+    destination: (req, file, cb) => {
+      const dir = path.join(root, kind);
+      try {
+        ensureDir(dir);
+        cb(null, dir);
+      } catch (error) {
+        cb(error);
+      }
+    },
+    // The upload filter has already checked the type
+    filename: (req, file, cb) => {
+      cb(null, uniqueName(IMAGE_TYPES[file.mimetype]));
+    },
+  });
+
+const url = (key) => `${process.env.PUBLIC_URL || ""}/uploads/${key}`;
+
+// Describe a file multer stored with createStorage
+const fromUpload = (file) => {
+  const key = toKey(file.path);
+  return { url: url(key), asset: { provider: PROVIDER, key } };
+};
+
+const remove = async (key) => {
+  try {
+    await fs.promises.unlink(resolveKey(key));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+};
+
+// Every stored file of a kind, as [{ key, createdAt }]
+const list = async (kind) => {
+  const dir = path.join(root, kind);
+  let names;
+  try {
+    names = await fs.promises.readdir(dir);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+  const files = [];
+  for (const name of names) {
+    const stat = await fs.promises.stat(path.join(dir, name));
+    if (stat.isFile()) {
+      files.push({ key: `${kind}/${name}`, createdAt: stat.mtime });
+    }
+  }
+  return files;
+};
+
+// Recover the key from a URL, for records saved before assets were tracked.
+// Only URLs under this server's PUBLIC_URL count.
+const keyFromUrl = (value) => {
+  const prefix = url("");
+  if (typeof value !== "string" || !value.startsWith(prefix)) return null;
+  const key = value.slice(prefix.length);
+  return KINDS.includes(key.split("/")[0]) && !key.split("/").includes("..")
+    ? key
+    : null;
+};
+
+module.exports = {
+  PROVIDER,
+  root,
+  createStorage,
+  fromUpload,
+  remove,
+  list,
+  keyFromUrl,
+};
@@ -0,0 +1,182 @@
+// Trash for soft-deleted blogs, users and comments: listing, restore, and
+// permanent purge once TRASH_RETENTION_DAYS have passed.
+const mongoose = require("mongoose");
+const Blog = require("../models/Blog");
+const User = require("../models/User");
+const Comment = require("../models/Comment");
+const Report = require("../models/Report");
+const {
+  descendantIds,
+  restoreComments,
+  removeComments,
+} = require("./comments");
+const { deleteBlogCascade, deleteUserCascade } = require("./cleanup");
+
+const DEFAULT_RETENTION_DAYS = 30;
+const TRASH_TYPES = ["blogs", "users", "comments"];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const retentionMs = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return (days >= 0 ? days : DEFAULT_RETENTION_DAYS) * DAY;
+};
+
+// When an item deleted at `deletedAt` will be purged
+const purgeDate = (deletedAt) =>
+  new Date(new Date(deletedAt).getTime() + retentionMs());
+
+const withPurgeDate = (item) => ({
+  ...item,
+  purgeAt: purgeDate(item.deletedAt),
+});
+
+const inTrash = { deletedAt: { $ne: null } };
+
+// Trashed blogs, users or comments, most recently deleted first
+const listTrash = async (type, { page = 1, limit = 20 } = {}) => {
+  const skip = (page - 1) * limit;
+
+  const Model = { blogs: Blog, users: User, comments: Comment }[type];
+  const select = {
+    blogs: "-descriptionHtml",
+    users: "-password",
+    comments: "blog user userName content parent deletedAt deletedBy",
+  }[type];
+  const query = Model.find(inTrash).select(select);
+  // Comments are listed with the post they belong to (even a trashed one)
+  if (type === "comments") {
+    query.populate({
+      path: "blog",
+      select: "title",
+      options: { withDeleted: true },
+    });
+  }
+  const [items, total] = await Promise.all([
+    query
+      .populate("deletedBy", "name email")
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Model.countDocuments(inTrash),
+  ]);
+  return { items: items.map(withPurgeDate), total, page, limit };
+};
+
+const findTrashed = (Model, id) => Model.findOne({ _id: id, ...inTrash });
+
+// A trashed comment of the blog, or null
+const findTrashedComment = (blogId, commentId) =>
+  mongoose.Types.ObjectId.isValid(blogId) &&
+  mongoose.Types.ObjectId.isValid(commentId)
+    ? Comment.findOne({ _id: commentId, blog: blogId, ...inTrash })
+    : null;
+
+// Restore a blog. Returns null when it is not in the trash.
+const restoreBlog = async (id) => {
+  const blog = await findTrashed(Blog, id);
+  if (!blog) return null;
+  await blog.restore();
+  return blog;
+};
+
+// Restore a user together with the blogs that were trashed with them
+const restoreUser = async (id) => {
+  const user = await findTrashed(User, id);
+  if (!user) return null;
+  const blogs = await Blog.updateMany(
+    { author: user._id, deletedAt: user.deletedAt },
+    { deletedAt: null, deletedBy: null }
+  );
+  await user.restore();
+  return { user, blogsRestored: blogs.modifiedCount };
+};
+
+// Restore a comment and the replies deleted with it. The parent must not
+// still be in the trash. Returns { comment } or { error, status }.
+const restoreComment = async (blogId, commentId) => {
+  const comment = await findTrashedComment(blogId, commentId);
+  if (!comment) {
+    return { status: 404, error: "Comment not found in trash" };
+  }
+
+  const parent = comment.parent && (await Comment.findById(comment.parent));
+  if (parent && parent.deletedAt) {
+    return { status: 400, error: "Restore the parent comment first" };
+  }
+
+  // Replies deleted on their own (at another time) stay in the trash
+  const replies = await Comment.distinct("_id", {
+    _id: { $in: await descendantIds([comment._id]) },
+    deletedAt: comment.deletedAt,
+  });
+  const restored = await restoreComments(comment.blog, [
+    comment._id,
+    ...replies,
+  ]);
+  comment.deletedAt = null;
+  comment.deletedBy = null;
+  return { comment, restored };
+};
+
+// Permanently delete a trashed blog (with media, revisions and path entries)
+const purgeBlog = async (id) => {
+  const blog = await findTrashed(Blog, id);
+  return blog ? deleteBlogCascade(blog) : null;
+};
+
+// Permanently delete a trashed user and everything they own
+const purgeUser = async (id) => {
+  const user = await findTrashed(User, id);
+  return user ? deleteUserCascade(user) : null;
+};
+
+// Permanently remove a trashed comment and every reply under it
+const purgeComment = async (blogId, commentId) => {
+  const comment = await findTrashedComment(blogId, commentId);
+  if (!comment) return null;
+
+  const ids = [comment._id, ...(await descendantIds([comment._id]))];
+  const removed = await removeComments(comment.blog, ids);
+  const reports = await Report.deleteMany({ comment: { $in: ids } });
+  return { commentsRemoved: removed, reportsDeleted: reports.deletedCount };
+};
+
+// Purge everything that has been in the trash longer than the retention
+// period. Users go first so their blogs are purged with them.
+const purgeExpired = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - retentionMs());
+  const expired = { deletedAt: { $ne: null, $lte: cutoff } };
+  const report = { users: 0, blogs: 0, comments: 0 };
+
+  for (const user of await User.find(expired)) {
+    await deleteUserCascade(user);
+    report.users += 1;
+  }
+  for (const blog of await Blog.find(expired)) {
+    await deleteBlogCascade(blog);
+    report.blogs += 1;
+  }
+
+  for (const blogId of await Comment.distinct("blog", expired)) {
+    const roots = await Comment.distinct("_id", { blog: blogId, ...expired });
+    const ids = [...roots, ...(await descendantIds(roots))];
+    report.comments += await removeComments(blogId, ids);
+    await Report.deleteMany({ comment: { $in: ids } });
+  }
+
+  return report;
+};
+
+module.exports = {
+  TRASH_TYPES,
+  listTrash,
+  restoreBlog,
+  restoreUser,
+  restoreComment,
+  purgeBlog,
+  purgeUser,
+  purgeComment,
+  purgeExpired,
+};